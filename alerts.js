@@ -0,0 +1,268 @@
+// Price Alerts
+// Rules are checked on every dashboard refresh. A rule fires once when its
+// condition becomes true, re-arms only after the condition clears, and never
+// fires more often than its cooldown.
+const ALERT_RULES_STORAGE_KEY = 'alertRules';
+const ALERT_HISTORY_STORAGE_KEY = 'alertHistory';
+const ALERT_HISTORY_LIMIT = 50;
+const ALERT_COOLDOWN_MS = 60 * 60 * 1000; // 1 hour
+const ALERT_DAILY_TTL_MS = 60 * 60 * 1000; // Refresh daily closes for MA rules hourly
+
+const alertTypeLabels = {
+    above: t('alerts.type.above'),
+    below: t('alerts.type.below'),
+    change: t('alerts.type.change'),
+    'ma-cross': t('alerts.type.maCross')
+};
+
+let alertRules = loadAlertStore(ALERT_RULES_STORAGE_KEY);
+let alertHistory = loadAlertStore(ALERT_HISTORY_STORAGE_KEY);
+const alertDailyCache = {}; // symbol -> { closes, fetchedAt }
+
+function loadAlertStore(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) || [];
+    } catch (error) {
+        console.error(`Error loading ${key}:`, error);
+        return [];
+    }
+}
+
+function saveAlertRules() {
+    localStorage.setItem(ALERT_RULES_STORAGE_KEY, JSON.stringify(alertRules));
+}
+
+function saveAlertHistory() {
+    localStorage.setItem(ALERT_HISTORY_STORAGE_KEY, JSON.stringify(alertHistory.slice(0, ALERT_HISTORY_LIMIT)));
+}
+
+// Latest quote for a symbol: reuse anything already on the page before fetching.
+// The change rule needs the previous session's close, which only 1d data carries
+// (a chart's prevClose is the close before its range starts), so it reuses 1d
+// data only; portfolio quotes are always 1d.
+async function getAlertQuote(symbol, needsDailyBase) {
+    const rangeOk = (range) => !needsDailyBase || range === '1d';
+    const card = cards.find(c => c.symbol === symbol && c.lastData && rangeOk(c.range));
+    if (card) return card.lastData;
+    if (portfolioQuotes[symbol]) return portfolioQuotes[symbol];
+    if (lastFetchedData && lastFetchedData.symbol === symbol && rangeOk(lastFetchedData.range)) return lastFetchedData;
+    return fetchWithCache(symbol, '1d', '5m');
+}
+
+async function getDailyCloses(symbol) {
+    const cached = alertDailyCache[symbol];
+    if (cached && Date.now() - cached.fetchedAt < ALERT_DAILY_TTL_MS) return cached.closes;
+
+    const data = await fetchWithCache(symbol, '1y', '1d');
+    if (!data) return cached ? cached.closes : null;
+    alertDailyCache[symbol] = { closes: data.prices, fetchedAt: Date.now() };
+    return data.prices;
+}
+
+// Returns { active, message } for a rule given the current quote
+async function checkAlertCondition(rule, quote) {
+    const price = quote.currentPrice;
+    const percent = quote.prevClose ? ((price - quote.prevClose) / quote.prevClose) * 100 : 0;
+
+    if (rule.type === 'above') {
+        return { active: price >= rule.value, message: t('alerts.message.above', { symbol: rule.symbol, price: formatNumber(price), value: formatNumber(rule.value) }) };
+    }
+    if (rule.type === 'below') {
+        return { active: price <= rule.value, message: t('alerts.message.below', { symbol: rule.symbol, price: formatNumber(price), value: formatNumber(rule.value) }) };
+    }
+    if (rule.type === 'change') {
+        return { active: Math.abs(percent) >= rule.value, message: t('alerts.message.change', { symbol: rule.symbol, percent: percent.toFixed(2), value: rule.value }) };
+    }
+    if (rule.type === 'ma-cross') {
+        const closes = await getDailyCloses(rule.symbol);
+        if (!closes || closes.length < rule.period) return { active: false, side: rule.lastSide };
+
+        // Today's bar uses the live price
+        const series = closes.slice(0, -1).concat([price]);
+        const ma = calcSMA(series, rule.period)[series.length - 1];
+        const side = price >= ma ? 'above' : 'below';
+        const crossed = rule.lastSide && rule.lastSide !== side;
+        return {
+            active: crossed,
+            side: side,
+            message: t(side === 'above' ? 'alerts.message.crossAbove' : 'alerts.message.crossBelow', {
+                symbol: rule.symbol,
+                price: formatNumber(price),
+                period: rule.period,
+                ma: formatFixed(ma)
+            })
+        };
+    }
+    return { active: false };
+}
+
+async function evaluateAlerts() {
+    let changed = false;
+
+    for (const rule of alertRules) {
+        const quote = await getAlertQuote(rule.symbol, rule.type === 'change');
+        if (!quote) continue;
+
+        const result = await checkAlertCondition(rule, quote);
+        if (result.side) {
+            changed = changed || rule.lastSide !== result.side;
+            rule.lastSide = result.side;
+        }
+
+        if (!result.active) {
+            // Condition cleared: allow the next crossing to fire
+            if (!rule.armed) {
+                rule.armed = true;
+                changed = true;
+            }
+            continue;
+        }
+
+        const coolingDown = rule.lastTriggered && Date.now() - rule.lastTriggered < ALERT_COOLDOWN_MS;
+        if (rule.armed && !coolingDown) {
+            rule.armed = rule.type === 'ma-cross'; // Crossings are one-shot events already
+            rule.lastTriggered = Date.now();
+            changed = true;
+            fireAlert(rule, result.message);
+        }
+    }
+
+    if (changed) {
+        saveAlertRules();
+        renderAlerts();
+    }
+}
+
+function fireAlert(rule, message) {
+    alertHistory.unshift({ ruleId: rule.id, symbol: rule.symbol, message: message, time: Date.now() });
+    alertHistory = alertHistory.slice(0, ALERT_HISTORY_LIMIT);
+    saveAlertHistory();
+
+    showToast(message);
+    if ('Notification' in window && Notification.permission === 'granted') {
+        new Notification(t('alerts.notificationTitle'), { body: message, icon: 'logo.png' });
+    }
+}
+
+// In-page Toasts
+function showToast(message) {
+    const container = document.getElementById('toast-container');
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.textContent = message;
+    container.appendChild(toast);
+
+    setTimeout(() => toast.classList.add('hide'), 6000);
+    setTimeout(() => toast.remove(), 6500);
+}
+
+function describeAlertRule(rule) {
+    if (rule.type === 'change') return `${alertTypeLabels[rule.type]} ${rule.value}%`;
+    if (rule.type === 'ma-cross') return `${alertTypeLabels[rule.type]} MA(${rule.period})`;
+    return `${alertTypeLabels[rule.type]} ${formatNumber(rule.value)}`;
+}
+
+function renderAlerts() {
+    const ruleList = document.getElementById('alert-rule-list');
+    const historyList = document.getElementById('alert-history-list');
+    ruleList.innerHTML = '';
+    historyList.innerHTML = '';
+
+    alertRules.forEach(rule => {
+        const li = document.createElement('li');
+        const symbolEl = document.createElement('span');
+        symbolEl.className = 'portfolio-symbol';
+        symbolEl.textContent = rule.symbol;
+        const descEl = document.createElement('span');
+        descEl.textContent = describeAlertRule(rule);
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'card-remove-btn alert-remove-btn';
+        removeBtn.dataset.ruleId = rule.id;
+        removeBtn.innerHTML = '&times;';
+        li.append(symbolEl, descEl, removeBtn);
+        ruleList.appendChild(li);
+    });
+
+    alertHistory.forEach(entry => {
+        const li = document.createElement('li');
+        const timeEl = document.createElement('span');
+        timeEl.className = 'alert-time';
+        timeEl.textContent = formatDateTime(entry.time);
+        const msgEl = document.createElement('span');
+        msgEl.textContent = entry.message;
+        li.append(timeEl, msgEl);
+        historyList.appendChild(li);
+    });
+
+    document.getElementById('alert-rules-empty').style.display = alertRules.length === 0 ? 'block' : 'none';
+}
+
+async function addAlertRule(e) {
+    e.preventDefault();
+    const form = e.target;
+
+    const rawSymbol = form.elements['alert-symbol'].value.trim();
+    const type = form.elements['alert-type'].value;
+    const value = parseFloat(form.elements['alert-value'].value);
+    if (!rawSymbol || !(value > 0)) return;
+
+    const candidates = await resolveSearchSymbols(rawSymbol, '');
+    const rule = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, // Unique within a millisecond
+        symbol: candidates[0] || rawSymbol.toUpperCase(),
+        type: type,
+        armed: true,
+        lastTriggered: null
+    };
+    // The number field doubles as the MA period for crossing rules
+    if (type === 'ma-cross') {
+        rule.period = Math.round(value);
+    } else {
+        rule.value = value;
+    }
+
+    alertRules.push(rule);
+    saveAlertRules();
+    form.reset();
+    renderAlerts();
+
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+}
+
+function removeAlertRule(id) {
+    alertRules = alertRules.filter(rule => rule.id !== id);
+    saveAlertRules();
+    renderAlerts();
+}
+
+function initAlerts() {
+    const form = document.getElementById('alert-form');
+    form.addEventListener('submit', addAlertRule);
+
+    // Placeholder follows the rule type
+    const typeSelect = form.elements['alert-type'];
+    const valueInput = form.elements['alert-value'];
+    typeSelect.addEventListener('change', () => {
+        valueInput.placeholder = {
+            above: t('alerts.value.price'),
+            below: t('alerts.value.price'),
+            change: '%',
+            'ma-cross': t('alerts.value.period')
+        }[typeSelect.value];
+    });
+
+    document.getElementById('alert-rule-list').addEventListener('click', (e) => {
+        if (e.target.classList.contains('alert-remove-btn')) {
+            removeAlertRule(e.target.dataset.ruleId);
+        }
+    });
+    document.getElementById('alert-history-clear-btn').addEventListener('click', () => {
+        alertHistory = [];
+        saveAlertHistory();
+        renderAlerts();
+    });
+
+    renderAlerts();
+}
@@ -0,0 +1,157 @@
+// Backtest Worker
+// Rule-based strategies over OHLC bars, run off the main thread for backtest.js.
+// The engine is pure and deterministic: the same bars and settings always give
+// the same result. tools/check-backtest.js runs it on fixtures/AAPL.json under Node
+// (indicators.js first, then this file) and compares against stored metrics.
+//
+// Execution model: a signal is decided on a bar's close and filled at the next
+// bar's open, long-only and fully invested. Slippage moves the fill price against
+// us; commission is charged on each side as a fraction of the traded value.
+// Positions still open at the end are valued at the last close.
+
+// Per-bar actions ('buy' | 'sell' | null) to execute at each bar's open
+function buildStrategyOrders(ohlc, strategy, params) {
+    const orders = new Array(ohlc.length).fill(null);
+    const closes = ohlc.map(bar => bar.c);
+
+    if (strategy === 'buy-hold') {
+        if (ohlc.length > 0) orders[0] = 'buy';
+        return orders;
+    }
+
+    let signals = new Array(ohlc.length).fill(null);
+    if (strategy === 'ma-cross') {
+        const fast = calcSMA(closes, params.fast);
+        const slow = calcSMA(closes, params.slow);
+        for (let i = 1; i < ohlc.length; i++) {
+            if (fast[i - 1] === null || slow[i - 1] === null) continue;
+            const previous = fast[i - 1] - slow[i - 1];
+            const current = fast[i] - slow[i];
+            if (previous <= 0 && current > 0) signals[i] = 'buy';
+            else if (previous >= 0 && current < 0) signals[i] = 'sell';
+        }
+    } else if (strategy === 'rsi') {
+        signals = calcRSI(closes, params.period).map(value => {
+            if (value === null) return null;
+            if (value < params.lower) return 'buy';
+            if (value > params.upper) return 'sell';
+            return null;
+        });
+    } else {
+        throw new Error(`Unknown strategy: ${strategy}`);
+    }
+
+    // Close-of-bar signal -> next bar's open
+    for (let i = 0; i < ohlc.length - 1; i++) orders[i + 1] = signals[i];
+    return orders;
+}
+
+function simulateOrders(ohlc, orders, costs, initialCapital) {
+    let cash = initialCapital;
+    let shares = 0;
+    let openTrade = null;
+    const trades = [];
+    const equity = [];
+
+    ohlc.forEach((bar, i) => {
+        if (orders[i] === 'buy' && shares === 0) {
+            const price = bar.o * (1 + costs.slippage);
+            shares = cash / (price * (1 + costs.commission));
+            openTrade = { entryIndex: i, entryTime: bar.time, entryPrice: price, capital: cash };
+            cash = 0;
+        } else if (orders[i] === 'sell' && shares > 0) {
+            const price = bar.o * (1 - costs.slippage);
+            cash = shares * price * (1 - costs.commission);
+            shares = 0;
+            trades.push(closeTrade(openTrade, i, bar.time, price, cash));
+            openTrade = null;
+        }
+        equity.push(cash + shares * bar.c);
+    });
+
+    if (openTrade) {
+        const last = ohlc[ohlc.length - 1];
+        trades.push(closeTrade(openTrade, null, null, last.c, equity[equity.length - 1]));
+    }
+    return { equity, trades };
+}
+
+// exitIndex/exitTime are null for a trade still open at the end
+function closeTrade(openTrade, exitIndex, exitTime, exitPrice, value) {
+    return {
+        entryIndex: openTrade.entryIndex,
+        entryTime: openTrade.entryTime,
+        entryPrice: openTrade.entryPrice,
+        exitIndex,
+        exitTime,
+        exitPrice,
+        returnPct: (value / openTrade.capital - 1) * 100
+    };
+}
+
+// CAGR over calendar time; Sharpe from per-bar returns (risk-free rate 0),
+// annualized with periodsPerYear
+function computeBacktestMetrics(equity, times, initialCapital, periodsPerYear) {
+    const finalEquity = equity.length ? equity[equity.length - 1] : initialCapital;
+    const years = equity.length > 1 ? (times[times.length - 1] - times[0]) / (365.25 * 24 * 60 * 60) : 0;
+
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    equity.forEach(value => {
+        peak = Math.max(peak, value);
+        if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+    });
+
+    const returns = [];
+    for (let i = 1; i < equity.length; i++) {
+        if (equity[i - 1] > 0) returns.push(equity[i] / equity[i - 1] - 1);
+    }
+    let sharpe = null;
+    if (returns.length > 1) {
+        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+        const variance = returns.reduce((sum, r) => sum + (r - mean) * (r - mean), 0) / (returns.length - 1);
+        if (variance > 0) sharpe = (mean / Math.sqrt(variance)) * Math.sqrt(periodsPerYear);
+    }
+
+    return {
+        finalEquity,
+        totalReturn: (finalEquity / initialCapital - 1) * 100,
+        cagr: years > 0 && finalEquity > 0 ? (Math.pow(finalEquity / initialCapital, 1 / years) - 1) * 100 : null,
+        maxDrawdown: maxDrawdown * 100,
+        sharpe
+    };
+}
+
+function runStrategy(request, strategy, params) {
+    const orders = buildStrategyOrders(request.ohlc, strategy, params);
+    const { equity, trades } = simulateOrders(request.ohlc, orders, request.costs, request.initialCapital);
+    const times = request.ohlc.map(bar => bar.time);
+    return {
+        equity,
+        trades,
+        metrics: { ...computeBacktestMetrics(equity, times, request.initialCapital, request.periodsPerYear), tradeCount: trades.length }
+    };
+}
+
+// request: { ohlc, strategy, params, costs: { commission, slippage } (fractions),
+//            initialCapital, periodsPerYear }
+// The buy-and-hold benchmark runs with the same costs.
+function runBacktest(request) {
+    return {
+        strategy: runStrategy(request, request.strategy, request.params),
+        benchmark: runStrategy(request, 'buy-hold', {})
+    };
+}
+
+if (typeof importScripts === 'function') {
+    importScripts('indicators.js?v=3');
+
+    self.onmessage = (e) => {
+        const { id, request } = e.data;
+        try {
+            self.postMessage({ id, result: runBacktest(request) });
+        } catch (error) {
+            self.postMessage({ id, error: error.message });
+        }
+    };
+}
@@ -0,0 +1,284 @@
+// Strategy Backtest
+// Runs a rule-based strategy over the search chart's loaded OHLC (whatever
+// range/interval is on screen) in backtest-worker.js, then shows the metrics, an
+// equity curve against buy-and-hold, and entry/exit markers on the search chart.
+const BACKTEST_INITIAL_CAPITAL = 100; // Equity is shown as an index starting at 100
+
+const backtestStrategyLabels = { 'ma-cross': t('backtest.strategy.maCross'), rsi: 'RSI', 'buy-hold': t('backtest.strategy.buyHold') };
+
+// Bars per year for annualizing Sharpe; intraday assumes a 6.5-hour session
+const backtestBarsPerYear = { '1d': 252, '5d': 252 / 5, '1wk': 52, '1mo': 12, '3mo': 4 };
+
+let backtestWorker = null;
+let backtestRequestId = 0; // Drops results of an outdated run
+let backtestPending = null; // What the in-flight run was computed on
+let backtestRun = null; // { key, symbol, range, interval, barCount, timestamps, timeZone, strategy, result }
+let backtestChart = null;
+
+function backtestDataKey(data) {
+    return `${data.symbol}|${data.range}|${data.interval}`;
+}
+
+function getBarsPerYear(interval) {
+    if (backtestBarsPerYear[interval]) return backtestBarsPerYear[interval];
+    const option = intervalOptions.find(o => o.interval === interval);
+    return option ? (252 * 390) / (option.days * 1440) : 252;
+}
+
+function getBacktestWorker() {
+    if (!backtestWorker) {
+        backtestWorker = new Worker('backtest-worker.js?v=3');
+        backtestWorker.onmessage = handleBacktestMessage;
+        backtestWorker.onerror = () => {
+            document.getElementById('backtest-status').textContent = t('backtest.unavailable');
+        };
+    }
+    return backtestWorker;
+}
+
+// Strategy settings from the form; returns { error } when invalid
+function readBacktestForm(form) {
+    const value = (name) => Number(form.elements[name].value);
+    const strategy = form.elements['backtest-strategy'].value;
+    let params = {};
+
+    if (strategy === 'ma-cross') {
+        params = { fast: value('backtest-fast'), slow: value('backtest-slow') };
+        if (!Number.isInteger(params.fast) || !Number.isInteger(params.slow) || params.fast < 1) {
+            return { error: t('backtest.error.maPeriod') };
+        }
+        if (params.fast >= params.slow) return { error: t('backtest.error.maOrder') };
+    } else if (strategy === 'rsi') {
+        params = { period: value('backtest-rsi-period'), lower: value('backtest-rsi-lower'), upper: value('backtest-rsi-upper') };
+        if (!Number.isInteger(params.period) || params.period < 2) return { error: t('backtest.error.rsiPeriod') };
+        if (!(params.lower > 0 && params.lower < params.upper && params.upper < 100)) {
+            return { error: t('backtest.error.rsiLevels') };
+        }
+    }
+
+    const commission = value('backtest-commission');
+    const slippage = value('backtest-slippage');
+    if (!(commission >= 0 && commission < 10) || !(slippage >= 0 && slippage < 10)) {
+        return { error: t('backtest.error.costs') };
+    }
+    return { strategy, params, costs: { commission: commission / 100, slippage: slippage / 100 } };
+}
+
+function minimumBacktestBars(settings) {
+    if (settings.strategy === 'ma-cross') return settings.params.slow + 2;
+    if (settings.strategy === 'rsi') return settings.params.period + 2;
+    return 2;
+}
+
+function runBacktestFromForm(e) {
+    e.preventDefault();
+    const status = document.getElementById('backtest-status');
+    const data = lastFetchedData;
+    if (!data || data.symbol !== currentSearchSymbol) return;
+    if (isCompareMode()) {
+        showToast(t('backtest.error.compareMode'));
+        return;
+    }
+
+    const settings = readBacktestForm(e.target);
+    if (settings.error) {
+        showToast(settings.error);
+        return;
+    }
+    if (data.ohlc.length < minimumBacktestBars(settings)) {
+        showToast(t('backtest.error.tooFewBars'));
+        return;
+    }
+
+    const id = ++backtestRequestId;
+    backtestPending = {
+        key: backtestDataKey(data),
+        symbol: data.symbol,
+        range: data.range,
+        interval: data.interval,
+        barCount: data.ohlc.length,
+        timestamps: data.timestamps,
+        timeZone: getDisplayTimeZone(data),
+        strategy: settings.strategy
+    };
+    status.textContent = t('backtest.running');
+    getBacktestWorker().postMessage({
+        id,
+        request: {
+            ohlc: data.ohlc,
+            strategy: settings.strategy,
+            params: settings.params,
+            costs: settings.costs,
+            initialCapital: BACKTEST_INITIAL_CAPITAL,
+            periodsPerYear: getBarsPerYear(data.interval)
+        }
+    });
+}
+
+function handleBacktestMessage(e) {
+    const { id, result, error } = e.data;
+    if (id !== backtestRequestId) return;
+
+    if (error) {
+        document.getElementById('backtest-status').textContent = t('backtest.failed', { error });
+        return;
+    }
+    backtestRun = { ...backtestPending, result };
+    renderBacktestResults();
+    redrawChart('search'); // Entry/exit markers
+}
+
+function clearBacktest() {
+    backtestRequestId++;
+    const hadRun = Boolean(backtestRun);
+    backtestRun = null;
+    document.getElementById('backtest-results').hidden = true;
+    document.getElementById('backtest-status').textContent = '';
+    if (hadRun) redrawChart('search');
+}
+
+// Results belong to one symbol; a new search starts from a clean panel
+function updateBacktestPanel(symbol) {
+    if (backtestRun && backtestRun.symbol !== symbol) clearBacktest();
+}
+
+function formatBacktestMetric(key, value) {
+    if (value === null || value === undefined) return '—';
+    if (key === 'maxDrawdown') return `-${formatFixed(value)}%`;
+    if (key === 'sharpe') return formatFixed(value);
+    if (key === 'tradeCount') return t('backtest.tradeCount', { count: value });
+    if (key === 'finalEquity') return formatFixed(value, 1);
+    return formatPercent(value);
+}
+
+const backtestMetricRows = [
+    { key: 'totalReturn', label: t('backtest.metric.totalReturn') },
+    { key: 'cagr', label: 'CAGR' },
+    { key: 'maxDrawdown', label: t('backtest.metric.maxDrawdown') },
+    { key: 'sharpe', label: t('backtest.metric.sharpe') },
+    { key: 'tradeCount', label: t('backtest.metric.tradeCount') },
+    { key: 'finalEquity', label: t('backtest.metric.finalEquity') }
+];
+
+function renderBacktestResults() {
+    const { result, strategy } = backtestRun;
+    const showBenchmark = strategy !== 'buy-hold';
+
+    document.getElementById('backtest-status').textContent =
+        `${backtestStrategyLabels[strategy]} · ${backtestRun.symbol} · ${describeRange(backtestRun.range, backtestRun.interval)} · ${t('chart.bars', { count: backtestRun.barCount })}`;
+
+    const grid = document.getElementById('backtest-metrics');
+    grid.innerHTML = '';
+    backtestMetricRows.forEach(row => {
+        const item = document.createElement('div');
+        item.className = 'fundamentals-item';
+        const label = document.createElement('dt');
+        label.textContent = row.label;
+        const value = document.createElement('dd');
+        value.textContent = formatBacktestMetric(row.key, result.strategy.metrics[row.key]);
+        if (showBenchmark) {
+            const benchmark = document.createElement('span');
+            benchmark.className = 'backtest-benchmark';
+            benchmark.textContent = t('backtest.benchmark', { value: formatBacktestMetric(row.key, result.benchmark.metrics[row.key]) });
+            value.appendChild(benchmark);
+        }
+        item.append(label, value);
+        grid.appendChild(item);
+    });
+
+    document.getElementById('backtest-results').hidden = false;
+    renderEquityChart(showBenchmark);
+}
+
+function renderEquityChart(showBenchmark) {
+    const labels = formatTimeLabels(backtestRun.timestamps, backtestRun.timeZone);
+
+    if (!backtestChart) {
+        const config = JSON.parse(JSON.stringify(chartConfig));
+        config.data = { labels: [], datasets: [] };
+        config.options.plugins.legend = {
+            display: true,
+            labels: { color: '#8b92a5', boxWidth: 12, font: { size: 11 } }
+        };
+        backtestChart = new Chart(document.getElementById('backtestChart').getContext('2d'), config);
+    }
+
+    const datasets = [{
+        label: backtestStrategyLabels[backtestRun.strategy],
+        data: backtestRun.result.strategy.equity,
+        borderColor: '#3b82f6',
+        borderWidth: 2,
+        pointRadius: 0
+    }];
+    if (showBenchmark) {
+        datasets.push({
+            label: backtestStrategyLabels['buy-hold'],
+            data: backtestRun.result.benchmark.equity,
+            borderColor: '#8b92a5',
+            borderWidth: 1.5,
+            borderDash: [4, 4],
+            pointRadius: 0
+        });
+    }
+    backtestChart.data.labels = labels;
+    backtestChart.data.datasets = datasets;
+    backtestChart.update('none');
+}
+
+// Entry/exit triangles for the search chart, only for the data the run used
+function buildBacktestMarkerDatasets(data, xValues) {
+    if (!backtestRun || backtestRun.key !== backtestDataKey(data)) return [];
+
+    // Fill prices by bar time, so a refreshed copy of the same data still lines up
+    const entries = {};
+    const exits = {};
+    backtestRun.result.strategy.trades.forEach(trade => {
+        entries[trade.entryTime] = trade.entryPrice;
+        if (trade.exitTime !== null) exits[trade.exitTime] = trade.exitPrice;
+    });
+
+    const currency = getChartCurrency('search', data);
+    const buildMarkers = (pricesByTime, label, color, rotation, anchor) => {
+        const prices = data.ohlc.map(bar => pricesByTime[bar.time]);
+        return {
+            type: 'line',
+            label: label,
+            data: data.ohlc.map((bar, i) => {
+                const y = prices[i] !== undefined ? (xValues ? bar[anchor] : bar.c) : null;
+                return xValues ? { x: xValues[i], y: y } : y;
+            }),
+            yAxisID: 'y',
+            order: 0,
+            showLine: false,
+            pointStyle: 'triangle',
+            rotation: rotation,
+            pointRadius: (context) => prices[context.dataIndex] !== undefined ? 7 : 0,
+            pointHoverRadius: 9,
+            pointBackgroundColor: color,
+            borderWidth: 0,
+            tooltip: {
+                callbacks: {
+                    label: (context) => `${label} @ ${formatChartValue(prices[context.dataIndex], currency)}`
+                }
+            }
+        };
+    };
+
+    return [
+        buildMarkers(entries, t('side.buy'), '#2ebd85', 0, 'l'),
+        buildMarkers(exits, t('side.sell'), '#f6465d', 180, 'h')
+    ];
+}
+
+function initBacktest() {
+    const form = document.getElementById('backtest-form');
+    const syncParams = () => {
+        form.querySelectorAll('[data-strategy]').forEach(el => {
+            el.hidden = el.dataset.strategy !== form.elements['backtest-strategy'].value;
+        });
+    };
+    form.elements['backtest-strategy'].addEventListener('change', syncParams);
+    form.addEventListener('submit', runBacktestFromForm);
+    document.getElementById('backtest-clear-btn').addEventListener('click', clearBacktest);
+    syncParams();
+}
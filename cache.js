@@ -0,0 +1,153 @@
+// Chart Data Cache (IndexedDB)
+// Entries are keyed by symbol/range/interval and considered fresh for a TTL that
+// depends on the bar interval, capped while the symbol's market is in session so
+// the minute poll always revalidates the current price. Expired entries are still
+// served while a refresh runs, and as a "stale" fallback when the network fails.
+const CACHE_DB_NAME = 'invest-cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = 'charts';
+
+// Interval -> freshness in ms
+const cacheTtlByInterval = {
+    '1m': 60 * 1000,
+    '2m': 60 * 1000,
+    '5m': 60 * 1000,
+    '15m': 5 * 60 * 1000,
+    '30m': 5 * 60 * 1000,
+    '60m': 15 * 60 * 1000,
+    '90m': 15 * 60 * 1000,
+    '1h': 15 * 60 * 1000,
+    '1d': 60 * 60 * 1000,
+    '5d': 6 * 60 * 60 * 1000,
+    '1wk': 6 * 60 * 60 * 1000,
+    '1mo': 6 * 60 * 60 * 1000,
+    '3mo': 6 * 60 * 60 * 1000
+};
+// Cap while the market is in a session (pre/open/post); below the 60s dashboard poll
+const LIVE_CACHE_TTL_MS = 30 * 1000;
+
+let cacheDbPromise = null;
+
+function openCacheDb() {
+    if (!cacheDbPromise) {
+        cacheDbPromise = new Promise((resolve) => {
+            if (!('indexedDB' in window)) {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                // Private mode or blocked storage: run without a cache
+                console.error('Error opening chart cache:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return cacheDbPromise;
+}
+
+function chartCacheKey(symbol, range, interval) {
+    return `${symbol}|${range}|${interval}`;
+}
+
+async function cacheGet(key) {
+    const db = await openCacheDb();
+    if (!db) return null;
+    return new Promise((resolve) => {
+        const request = db.transaction(CACHE_STORE, 'readonly').objectStore(CACHE_STORE).get(key);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+    });
+}
+
+async function cachePut(key, data) {
+    const db = await openCacheDb();
+    if (!db) return;
+    return new Promise((resolve) => {
+        const tx = db.transaction(CACHE_STORE, 'readwrite');
+        tx.objectStore(CACHE_STORE).put({ key: key, data: data, savedAt: Date.now() });
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => resolve();
+    });
+}
+
+function isCacheFresh(entry, symbol, interval) {
+    let ttl = cacheTtlByInterval[interval] || 60 * 1000;
+    if (getSymbolSession(symbol) !== 'closed') ttl = Math.min(ttl, LIVE_CACHE_TTL_MS);
+    return Date.now() - entry.savedAt < ttl;
+}
+
+// Stale-while-revalidate fetch.
+// - options.onCached(data) is called right away with any cached copy (fresh or not)
+// - a fresh cache entry is returned without touching the network (see isCacheFresh)
+// - otherwise the network result is cached and returned
+// - if the network fails, the cached copy is returned with `stale: true`
+// Returned data carries `cachedAt` (ms) so the UI can say how old it is.
+// options.signal is passed on to fetchStockData; an abort rejects with an AbortError.
+async function fetchWithCache(symbol, range, interval, options = {}) {
+    const key = chartCacheKey(symbol, range, interval);
+    const entry = await cacheGet(key);
+
+    if (entry) {
+        const cached = { ...entry.data, cachedAt: entry.savedAt, stale: false };
+        if (options.onCached) options.onCached(cached);
+        if (isCacheFresh(entry, symbol, interval)) return cached;
+    }
+
+    const data = await fetchStockData(symbol, range, interval, { signal: options.signal });
+    if (data) {
+        cachePut(key, data);
+        return { ...data, cachedAt: Date.now(), stale: false };
+    }
+
+    if (entry) {
+        return { ...entry.data, cachedAt: entry.savedAt, stale: true };
+    }
+    return null;
+}
+
+// Fundamentals change slowly: cached for FUNDAMENTALS_TTL_MS, stale copy on failure
+const FUNDAMENTALS_TTL_MS = 6 * 60 * 60 * 1000;
+
+async function fetchFundamentalsWithCache(symbol, options = {}) {
+    const key = `fundamentals|${symbol}`;
+    const entry = await cacheGet(key);
+    if (entry && Date.now() - entry.savedAt < FUNDAMENTALS_TTL_MS) return entry.data;
+
+    const data = await fetchFundamentals(symbol, { signal: options.signal });
+    if (data) {
+        cachePut(key, data);
+        return data;
+    }
+    return entry ? entry.data : null;
+}
+
+// "Stale as of ..." marker inside a price-info block
+function updateStaleMarker(priceInfoEl, data) {
+    if (!priceInfoEl) return;
+    let marker = priceInfoEl.querySelector('.stale-marker');
+    if (!data || !data.stale) {
+        if (marker) marker.remove();
+        return;
+    }
+    if (!marker) {
+        marker = document.createElement('span');
+        marker.className = 'stale-marker';
+        priceInfoEl.appendChild(marker);
+    }
+    const asOf = formatDateTime(data.cachedAt, { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+    marker.textContent = t('cache.staleAsOf', { time: asOf });
+}
+
+// App Shell Service Worker (lets the page open offline)
+function registerServiceWorker() {
+    if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+}
@@ -0,0 +1,211 @@
+// Compare Mode
+// Overlays the searched symbol with other symbols/indices, each rebased to 0%
+// at the start of the selected range.
+const compareSymbols = [];
+const compareDataCache = {}; // `${symbol}|${range}|${interval}` -> data
+const comparePalette = ['#3b82f6', '#f0b90b', '#a855f7', '#2ebd85', '#f6465d', '#06b6d4', '#f97316', '#ec4899'];
+const MAX_COMPARE_SYMBOLS = 5;
+let compareRenderId = 0; // Drops results of an outdated compare render
+
+function isCompareMode() {
+    return compareSymbols.length > 0;
+}
+
+// Seconds per bar for intraday intervals ('5m', '1h', ...)
+function intervalSeconds(interval) {
+    const match = /^(\d+)(m|h)$/.exec(interval);
+    if (!match) return null;
+    return Number(match[1]) * (match[2] === 'h' ? 3600 : 60);
+}
+
+// Bucket a bar time so bars from different exchanges land on the same key:
+// intraday by interval, daily by UTC date, weekly by Monday, monthly by month.
+function compareBucketKey(time, interval) {
+    const seconds = intervalSeconds(interval);
+    if (seconds) return Math.floor(time / seconds) * seconds;
+
+    const d = new Date(time * 1000);
+    if (interval === '1mo' || interval === '3mo') {
+        return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1) / 1000;
+    }
+    let day = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) / 1000;
+    if (interval === '1wk') {
+        day -= ((d.getUTCDay() + 6) % 7) * 86400; // Back to Monday
+    }
+    return day;
+}
+
+// Align several series on the union of their buckets and rebase to percent change.
+// Gaps (holidays, different sessions) carry the last known close forward.
+function buildCompareSeries(seriesList, interval) {
+    const keySet = new Set();
+    const closesBySeries = seriesList.map(series => {
+        const byKey = new Map();
+        series.data.ohlc.forEach(item => {
+            const key = compareBucketKey(item.time, interval);
+            byKey.set(key, item.c); // Last bar in the bucket wins
+            keySet.add(key);
+        });
+        return byKey;
+    });
+
+    const keys = Array.from(keySet).sort((a, b) => a - b);
+
+    const percents = closesBySeries.map(byKey => {
+        let last = null;
+        let base = null;
+        return keys.map(key => {
+            if (byKey.has(key)) last = byKey.get(key);
+            if (last === null) return null;
+            if (base === null) base = last;
+            return (last / base - 1) * 100;
+        });
+    });
+
+    return { keys, percents };
+}
+
+async function fetchCompareData(symbol, range, interval) {
+    const cacheKey = `${symbol}|${range}|${interval}`;
+    if (!compareDataCache[cacheKey]) {
+        const data = await fetchWithCache(symbol, range, interval);
+        if (!data || data.ohlc.length === 0) return null;
+        compareDataCache[cacheKey] = data;
+    }
+    return compareDataCache[cacheKey];
+}
+
+function formatPercent(value) {
+    const sign = value >= 0 ? '+' : '';
+    return `${sign}${value.toFixed(2)}%`;
+}
+
+// Render the normalized comparison into the search chart
+async function renderCompareChart(chart, mainData, mainSymbol, range, interval) {
+    const renderId = ++compareRenderId;
+    const others = await Promise.all(compareSymbols.map(symbol => fetchCompareData(symbol, range, interval)));
+    if (renderId !== compareRenderId) return; // A newer render (compare set, range or plain chart) took over
+
+    const seriesList = [{ symbol: mainSymbol, data: mainData }];
+    compareSymbols.forEach((symbol, i) => {
+        if (others[i]) seriesList.push({ symbol, data: others[i] });
+    });
+
+    const { keys, percents } = buildCompareSeries(seriesList, interval);
+    prepareChartView(chart, null, `compare|${keys[0]}`, 0, keys.length - 1);
+    chart.$compareKeys = keys; // Bar times for export
+
+    // Compare mode is always a line chart on category labels
+    chart.config.type = 'line';
+    delete chart.config.options.scales.x.type;
+    delete chart.config.options.scales.x.time;
+    delete chart.config.options.scales.y.afterFit;
+    chart.config.options.scales.y.ticks.callback = (value) => `${value}%`;
+    chart.config.options.plugins.legend.display = true;
+    chart.config.options.plugins.legend.labels = { color: '#8b92a5', boxWidth: 12, boxHeight: 2 };
+    Object.keys(indicatorDefinitions).forEach(key => removeSubPane('search', key));
+
+    const timeZone = getDisplayTimeZone(mainData);
+    chart.config.options.plugins.tooltip.callbacks = {
+        title: (items) => items.length ? formatTooltipTime(keys[items[0].dataIndex], timeZone, intervalSeconds(interval) !== null) : ''
+    };
+    chart.data.labels = formatTimeLabels(keys, timeZone);
+    chart.data.datasets = seriesList.map((series, i) => ({
+        label: series.symbol,
+        data: percents[i],
+        borderColor: comparePalette[i % comparePalette.length],
+        backgroundColor: comparePalette[i % comparePalette.length],
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: false,
+        spanGaps: true,
+        tooltip: {
+            callbacks: {
+                label: (context) => `${series.data.name || series.symbol}: ${formatPercent(context.parsed.y)}`
+            }
+        }
+    }));
+
+    chart.update('none');
+    updateSearchPriceDisplay(mainData.currentPrice, mainData.prevClose, getChartCurrency('search', mainData));
+    renderCompareChips();
+    syncUrlState();
+}
+
+// Undo compare-only options before a normal price render
+function resetCompareOptions(chart) {
+    compareRenderId++; // Drop a compare render still waiting on its data
+    chart.$compareKeys = null;
+    chart.config.options.plugins.legend.display = false;
+    delete chart.config.options.scales.y.ticks.callback;
+}
+
+function renderCompareChips() {
+    const container = document.getElementById('compare-chips');
+    container.innerHTML = '';
+
+    compareSymbols.forEach((symbol, i) => {
+        const chip = document.createElement('span');
+        chip.className = 'compare-chip';
+        // Index 0 of the palette is the searched symbol
+        chip.style.borderColor = comparePalette[(i + 1) % comparePalette.length];
+
+        const label = document.createElement('span');
+        label.textContent = symbol;
+        const remove = document.createElement('button');
+        remove.className = 'compare-remove-btn';
+        remove.dataset.symbol = symbol;
+        remove.innerHTML = '&times;';
+
+        chip.append(label, remove);
+        container.appendChild(chip);
+    });
+}
+
+async function addCompareSymbol() {
+    const input = document.getElementById('compare-input');
+    const text = input.value.trim();
+    if (!text || compareSymbols.length >= MAX_COMPARE_SYMBOLS) return;
+
+    // Six-digit KRX codes may resolve to both .KS and .KQ; take the first that has
+    // data for the range on screen, like handleSearch
+    const candidates = await resolveSearchSymbols(text, '');
+    let symbol = candidates[0];
+    if (candidates.length > 1 && lastFetchedData) {
+        symbol = null;
+        for (const candidate of candidates) {
+            if (await fetchCompareData(candidate, lastFetchedData.range, lastFetchedData.interval)) {
+                symbol = candidate;
+                break;
+            }
+        }
+    }
+    if (!symbol || symbol === currentSearchSymbol || compareSymbols.includes(symbol)) {
+        input.value = '';
+        return;
+    }
+
+    compareSymbols.push(symbol);
+    input.value = '';
+    redrawChart('search');
+}
+
+function removeCompareSymbol(symbol) {
+    const index = compareSymbols.indexOf(symbol);
+    if (index < 0) return;
+    compareSymbols.splice(index, 1);
+    renderCompareChips();
+    redrawChart('search');
+}
+
+function initCompareControls() {
+    document.getElementById('compare-add-btn').addEventListener('click', addCompareSymbol);
+    document.getElementById('compare-input').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addCompareSymbol();
+    });
+    document.getElementById('compare-chips').addEventListener('click', (e) => {
+        if (e.target.classList.contains('compare-remove-btn')) {
+            removeCompareSymbol(e.target.dataset.symbol);
+        }
+    });
+}
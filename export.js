@@ -0,0 +1,166 @@
+// Chart Export
+// Each chart's tools get an export menu: the visible bars as CSV/JSON (ISO
+// timestamps with the exchange's UTC offset) and the chart as a PNG stamped with
+// symbol, range and export time. Zoomed charts export only what is on screen.
+const EXPORT_BACKGROUND = '#17191e';
+
+function pad2(value) {
+    return String(value).padStart(2, '0');
+}
+
+// ISO 8601 in the given IANA zone, e.g. 2024-06-28T15:30:00+09:00 (UTC 'Z' without a zone)
+function toIsoInZone(seconds, timeZone) {
+    if (!timeZone) return new Date(seconds * 1000).toISOString().replace('.000Z', 'Z');
+
+    const parts = zonedDateParts(seconds, timeZone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    const offset = Math.round((wallClock - Math.floor(seconds / 60) * 60000) / 60000);
+    const sign = offset >= 0 ? '+' : '-';
+    const abs = Math.abs(offset);
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:00${sign}${pad2(Math.floor(abs / 60))}:${pad2(abs % 60)}`;
+}
+
+// [first, last] indexes of the bars inside the chart area
+function getVisibleBarRange(chart) {
+    const elements = chart.getDatasetMeta(0).data;
+    let first = -1;
+    let last = -1;
+    elements.forEach((element, i) => {
+        if (element.x < chart.chartArea.left - 1 || element.x > chart.chartArea.right + 1) return;
+        if (first < 0) first = i;
+        last = i;
+    });
+    return first < 0 ? [0, elements.length - 1] : [first, last];
+}
+
+function getExportSource(chartId) {
+    const chart = getChartInstance(chartId);
+    const state = chartId === 'search' ? lastFetchedData : cards.find(c => c.id === chartId);
+    if (!chart || !state) return null;
+    const data = chartId === 'search' ? lastFetchedData : state.lastData;
+    if (!data) return null;
+    return { chart, data, symbol: state.symbol, range: state.range, interval: state.interval };
+}
+
+function exportFileName(source, ext) {
+    const now = new Date();
+    const stamp = `${now.getFullYear()}${pad2(now.getMonth() + 1)}${pad2(now.getDate())}-${pad2(now.getHours())}${pad2(now.getMinutes())}`;
+    return `${source.symbol}_${source.range}_${source.interval}_${stamp}.${ext}`.replace(/[^A-Za-z0-9._~-]+/g, '_');
+}
+
+function downloadBlob(blob, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Rows for the visible part of the chart. Compare mode exports the rebased
+// percent series (one column per symbol) instead of OHLC.
+function buildExportRows(source) {
+    const { chart, data } = source;
+    const [first, last] = getVisibleBarRange(chart);
+
+    if (chart.$compareKeys) {
+        const series = chart.data.datasets.map(ds => ({ symbol: ds.label, values: ds.data }));
+        const rows = [];
+        for (let i = first; i <= last; i++) {
+            const row = { time: toIsoInZone(chart.$compareKeys[i], data.timeZone) };
+            series.forEach(s => { row[s.symbol] = s.values[i] === null ? null : Number(s.values[i].toFixed(4)); });
+            rows.push(row);
+        }
+        return { columns: ['time'].concat(series.map(s => s.symbol)), rows };
+    }
+
+    const rows = data.ohlc.slice(first, last + 1).map(bar => ({
+        time: toIsoInZone(bar.time, data.timeZone),
+        open: bar.o,
+        high: bar.h,
+        low: bar.l,
+        close: bar.c,
+        volume: bar.v ?? null
+    }));
+    return { columns: ['time', 'open', 'high', 'low', 'close', 'volume'], rows };
+}
+
+function exportChartCsv(source) {
+    const { columns, rows } = buildExportRows(source);
+    const lines = [columns.join(',')].concat(
+        rows.map(row => columns.map(column => row[column] ?? '').join(','))
+    );
+    downloadBlob(new Blob([lines.join('\n')], { type: 'text/csv' }), exportFileName(source, 'csv'));
+}
+
+function exportChartJson(source) {
+    const { rows } = buildExportRows(source);
+    const payload = {
+        symbol: source.symbol,
+        name: source.data.name,
+        range: source.range,
+        interval: source.interval,
+        currency: source.data.currency,
+        timeZone: source.data.timeZone,
+        exportedAt: new Date().toISOString(),
+        bars: rows
+    };
+    downloadBlob(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), exportFileName(source, 'json'));
+}
+
+// Main chart plus its indicator sub-panes on one opaque canvas, with a header line
+function exportChartPng(source, chartId) {
+    const canvases = [source.chart.canvas].concat(getSubCharts(chartId).map(subChart => subChart.canvas));
+    const scale = window.devicePixelRatio || 1;
+    const header = 28 * scale;
+    const width = Math.max(...canvases.map(c => c.width));
+    const height = header + canvases.reduce((sum, c) => sum + c.height, 0);
+
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const ctx = output.getContext('2d');
+    ctx.fillStyle = EXPORT_BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+
+    const exportedAt = formatDateTime(Date.now());
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `${12 * scale}px 'JetBrains Mono', monospace`;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${source.symbol}  ${source.data.name || ''}  ·  ${describeRange(source.range, source.interval)}  ·  ${exportedAt}`, 8 * scale, header / 2);
+
+    let y = header;
+    canvases.forEach(canvas => {
+        ctx.drawImage(canvas, 0, y);
+        y += canvas.height;
+    });
+
+    output.toBlob(blob => {
+        if (blob) downloadBlob(blob, exportFileName(source, 'png'));
+    }, 'image/png');
+}
+
+function createExportMenu() {
+    const menu = document.createElement('details');
+    menu.className = 'export-menu';
+    menu.innerHTML = `
+        <summary class="menu-btn">${t('export.menu')}</summary>
+        <div class="export-panel">
+            <button class="export-btn" data-format="csv">CSV</button>
+            <button class="export-btn" data-format="json">JSON</button>
+            <button class="export-btn" data-format="png">${t('export.png')}</button>
+        </div>`;
+    return menu;
+}
+
+function handleExportClick(button, chartId) {
+    const source = getExportSource(chartId);
+    button.closest('.export-menu').open = false;
+    if (!source) {
+        showToast(t('export.noData'));
+        return;
+    }
+
+    if (button.dataset.format === 'csv') exportChartCsv(source);
+    else if (button.dataset.format === 'json') exportChartJson(source);
+    else if (button.dataset.format === 'png') exportChartPng(source, chartId);
+}
@@ -0,0 +1,91 @@
+// Fundamentals Panel
+// Key stats for the searched symbol, shown under the search chart. Loaded next to
+// the chart fetch and cached in IndexedDB (cache.js). Fields a provider doesn't
+// have render as "—"; indices and FX pairs have no fundamentals, so the panel hides.
+let fundamentalsAbortController = null;
+let fundamentalsPendingSymbol = null; // Symbol being fetched, so a range change doesn't restart it
+
+// label (message key), value getter; a getter returning null/undefined shows "—"
+const fundamentalsRows = [
+    { label: 'fundamentals.marketCap', value: (f) => f.marketCap !== null ? formatCompact(f.marketCap, f.currency) : null },
+    { label: 'fundamentals.per', value: (f) => f.trailingPE !== null ? t('fundamentals.multiple', { value: formatFixed(f.trailingPE) }) : null },
+    { label: 'fundamentals.eps', value: (f) => f.eps !== null ? formatMoney(f.eps, f.currency) : null },
+    { label: 'fundamentals.dividendYield', value: (f) => f.dividendYield !== null ? `${formatFixed(f.dividendYield * 100)}%` : null },
+    { label: 'fundamentals.high52', value: (f) => f.fiftyTwoWeekHigh !== null ? formatMoney(f.fiftyTwoWeekHigh, f.currency) : null },
+    { label: 'fundamentals.low52', value: (f) => f.fiftyTwoWeekLow !== null ? formatMoney(f.fiftyTwoWeekLow, f.currency) : null },
+    { label: 'fundamentals.avgVolume', value: (f) => f.averageVolume !== null ? formatCompact(f.averageVolume) : null },
+    { label: 'fundamentals.sector', value: (f) => f.sector },
+    { label: 'fundamentals.industry', value: (f) => f.industry },
+    { label: 'fundamentals.nextEarnings', value: (f) => f.nextEarnings !== null ? formatDate(f.nextEarnings * 1000) : null }
+];
+
+function hasFundamentals(symbol) {
+    return !symbol.startsWith('^') && !symbol.endsWith('=X');
+}
+
+function renderFundamentals(fundamentals, symbol) {
+    const panel = document.getElementById('fundamentals-panel');
+    const grid = document.getElementById('fundamentals-grid');
+    const note = document.getElementById('fundamentals-note');
+    grid.innerHTML = '';
+
+    if (!fundamentals) {
+        // Leave dataset.symbol unset so searching the symbol again retries
+        note.textContent = t('fundamentals.error');
+        return;
+    }
+    panel.dataset.symbol = symbol;
+
+    let missing = 0;
+    fundamentalsRows.forEach(row => {
+        const value = row.value(fundamentals);
+        if (value === null || value === undefined) missing++;
+
+        const item = document.createElement('div');
+        item.className = 'fundamentals-item';
+        const label = document.createElement('dt');
+        label.textContent = t(row.label);
+        const valueEl = document.createElement('dd');
+        valueEl.textContent = value ?? '—';
+        item.append(label, valueEl);
+        grid.appendChild(item);
+    });
+
+    note.textContent = missing > 0 ? t('fundamentals.missingNote') : '';
+}
+
+// Called from handleSearch (not awaited, so errors end here); range/type changes
+// for the same symbol keep the panel as is
+async function loadFundamentals(symbol) {
+    const panel = document.getElementById('fundamentals-panel');
+    if (!hasFundamentals(symbol)) {
+        panel.hidden = true;
+        panel.dataset.symbol = '';
+        return;
+    }
+    panel.hidden = false;
+    if (panel.dataset.symbol === symbol || fundamentalsPendingSymbol === symbol) return;
+
+    if (fundamentalsAbortController) fundamentalsAbortController.abort();
+    const controller = new AbortController();
+    fundamentalsAbortController = controller;
+    fundamentalsPendingSymbol = symbol;
+
+    panel.dataset.symbol = '';
+    document.getElementById('fundamentals-grid').innerHTML = '';
+    document.getElementById('fundamentals-note').textContent = t('fundamentals.loading');
+
+    let fundamentals = null;
+    try {
+        fundamentals = await fetchFundamentalsWithCache(symbol, { signal: controller.signal });
+    } catch (error) {
+        if (isAbortError(error)) return; // Replaced by a newer symbol
+        console.error('Error loading fundamentals:', error);
+    } finally {
+        if (fundamentalsAbortController === controller) {
+            fundamentalsAbortController = null;
+            fundamentalsPendingSymbol = null;
+        }
+    }
+    if (currentSearchSymbol === symbol) renderFundamentals(fundamentals, symbol);
+}
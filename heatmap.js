@@ -0,0 +1,280 @@
+// Market Heatmap & Breadth
+// Treemap of an index's large caps (or sector ETFs): tile area = market cap, tile
+// color = percent change over the selected range. Prices come through
+// fetchWithCache and market caps through fetchFundamentalsWithCache, so the
+// scheduler and IndexedDB cache apply. Entries with a `weight` use it instead of
+// market cap (ETFs have none); if any market cap is missing, all tiles get equal
+// area. Define window.HEATMAP_CONFIG to add or replace universes.
+const heatmapUniverses = Object.assign({
+    kospi: {
+        label: t('heatmap.universe.kospi'),
+        symbols: ['005930.KS', '000660.KS', '373220.KS', '207940.KS', '005380.KS', '000270.KS', '068270.KS',
+            '005490.KS', '035420.KS', '105560.KS', '055550.KS', '012330.KS', '051910.KS', '006400.KS',
+            '028260.KS', '066570.KS', '035720.KS', '012450.KS', '329180.KS', '015760.KS']
+    },
+    kosdaq: {
+        label: t('heatmap.universe.kosdaq'),
+        symbols: ['247540.KQ', '086520.KQ', '196170.KQ', '028300.KQ', '263750.KQ', '293490.KQ', '035900.KQ', '041510.KQ']
+    },
+    nasdaq: {
+        label: t('heatmap.universe.nasdaq'),
+        symbols: ['AAPL', 'MSFT', 'NVDA', 'AMZN', 'GOOGL', 'META', 'TSLA', 'AVGO', 'NFLX', 'AMD', 'INTC', 'COST', 'PEP', 'ADBE']
+    },
+    'us-sectors': {
+        label: t('heatmap.universe.usSectors'),
+        // Weights: approximate sector share of the S&P 500 (%)
+        symbols: [
+            { symbol: 'XLK', name: t('heatmap.sector.XLK'), weight: 31 },
+            { symbol: 'XLF', name: t('heatmap.sector.XLF'), weight: 13 },
+            { symbol: 'XLV', name: t('heatmap.sector.XLV'), weight: 11 },
+            { symbol: 'XLY', name: t('heatmap.sector.XLY'), weight: 10 },
+            { symbol: 'XLC', name: t('heatmap.sector.XLC'), weight: 9 },
+            { symbol: 'XLI', name: t('heatmap.sector.XLI'), weight: 8 },
+            { symbol: 'XLP', name: t('heatmap.sector.XLP'), weight: 6 },
+            { symbol: 'XLE', name: t('heatmap.sector.XLE'), weight: 3.5 },
+            { symbol: 'XLU', name: t('heatmap.sector.XLU'), weight: 2.5 },
+            { symbol: 'XLRE', name: t('heatmap.sector.XLRE'), weight: 2.3 },
+            { symbol: 'XLB', name: t('heatmap.sector.XLB'), weight: 2.1 }
+        ]
+    }
+}, window.HEATMAP_CONFIG || {});
+
+// Heatmap ranges and the interval used to fetch them
+const heatmapRanges = [
+    { range: '1d', interval: '5m', label: t('range.1d'), colorScale: 3 },
+    { range: '5d', interval: '15m', label: t('range.5d'), colorScale: 5 },
+    { range: '1mo', interval: '1d', label: t('range.1mo'), colorScale: 10 },
+    { range: 'ytd', interval: '1d', label: t('range.ytd'), colorScale: 20 },
+    { range: '1y', interval: '1d', label: t('range.1y'), colorScale: 30 }
+];
+const HEATMAP_TOP_COUNT = 3;
+
+let heatmapRequestId = 0; // Drops results of an outdated universe/range selection
+let heatmapLastRender = null; // { tiles, rangeOption }, redrawn on resize
+
+function normalizeUniverseEntry(entry) {
+    return typeof entry === 'string' ? { symbol: entry } : entry;
+}
+
+function masterName(symbol) {
+    const item = symbolMaster.find(s => s.symbol === symbol);
+    return item ? item[currentLanguage] : null;
+}
+
+// Change over the range: today's move for 1d, first close -> last price otherwise
+function rangePercentChange(data, range) {
+    const base = range === '1d' ? data.prevClose : data.prices[0];
+    if (!base || data.currentPrice === null || data.currentPrice === undefined) return null;
+    return ((data.currentPrice - base) / base) * 100;
+}
+
+async function loadHeatmapTile(entry, rangeOption) {
+    const [data, fundamentals] = await Promise.all([
+        fetchWithCache(entry.symbol, rangeOption.range, rangeOption.interval),
+        entry.weight ? null : fetchFundamentalsWithCache(entry.symbol)
+    ]);
+    if (!data) return null;
+
+    const percent = rangePercentChange(data, rangeOption.range);
+    if (percent === null) return null;
+    return {
+        symbol: entry.symbol,
+        name: entry.name || masterName(entry.symbol) || data.name || entry.symbol,
+        weight: entry.weight || (fundamentals && fundamentals.marketCap) || null,
+        percent: percent
+    };
+}
+
+// Market caps are often missing (KRX, or quoteSummary failing); sizing only the
+// known ones would shrink the rest to nothing, so fall back to equal tiles
+function balanceHeatmapWeights(tiles) {
+    if (tiles.some(tile => !tile.weight)) tiles.forEach(tile => { tile.weight = 1; });
+    return tiles;
+}
+
+// Squarified treemap: rows of tiles are laid along the shorter side, each row kept
+// as long as it improves the worst aspect ratio
+function layoutTreemap(items, width, height) {
+    const total = items.reduce((sum, item) => sum + item.weight, 0);
+    const scale = (width * height) / total;
+    const nodes = items
+        .map(item => ({ item, area: item.weight * scale }))
+        .sort((a, b) => b.area - a.area);
+
+    const result = [];
+    let x = 0;
+    let y = 0;
+    let w = width;
+    let h = height;
+
+    const worstRatio = (row, side) => {
+        const sum = row.reduce((s, n) => s + n.area, 0);
+        const max = Math.max(...row.map(n => n.area));
+        const min = Math.min(...row.map(n => n.area));
+        return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+    };
+
+    const placeRow = (row) => {
+        const sum = row.reduce((s, n) => s + n.area, 0);
+        if (w >= h) {
+            const rowWidth = sum / h;
+            let cy = y;
+            row.forEach(n => {
+                const tileHeight = n.area / rowWidth;
+                result.push({ item: n.item, x, y: cy, w: rowWidth, h: tileHeight });
+                cy += tileHeight;
+            });
+            x += rowWidth;
+            w -= rowWidth;
+        } else {
+            const rowHeight = sum / w;
+            let cx = x;
+            row.forEach(n => {
+                const tileWidth = n.area / rowHeight;
+                result.push({ item: n.item, x: cx, y, w: tileWidth, h: rowHeight });
+                cx += tileWidth;
+            });
+            y += rowHeight;
+            h -= rowHeight;
+        }
+    };
+
+    let row = [];
+    nodes.forEach(node => {
+        const side = Math.min(w, h);
+        if (row.length === 0 || worstRatio(row.concat(node), side) <= worstRatio(row, side)) {
+            row.push(node);
+        } else {
+            placeRow(row);
+            row = [node];
+        }
+    });
+    if (row.length > 0) placeRow(row);
+    return result;
+}
+
+// Red/green with strength by |percent| relative to the range's scale
+function heatmapColor(percent, colorScale) {
+    const strength = Math.min(Math.abs(percent) / colorScale, 1);
+    const alpha = 0.15 + strength * 0.75;
+    return percent >= 0 ? `rgba(46, 189, 133, ${alpha})` : `rgba(246, 70, 93, ${alpha})`;
+}
+
+function renderHeatmap(tiles, rangeOption) {
+    const container = document.getElementById('heatmap');
+    container.innerHTML = '';
+    if (tiles.length === 0) {
+        container.textContent = t('heatmap.noData');
+        return;
+    }
+
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    layoutTreemap(tiles, width, height).forEach(cell => {
+        const tile = document.createElement('button');
+        tile.className = 'heatmap-tile';
+        if (cell.w < 64 || cell.h < 36) tile.classList.add('compact');
+        tile.dataset.symbol = cell.item.symbol;
+        tile.title = `${cell.item.name} (${cell.item.symbol}) ${formatPercent(cell.item.percent)}`;
+        tile.style.left = `${(cell.x / width) * 100}%`;
+        tile.style.top = `${(cell.y / height) * 100}%`;
+        tile.style.width = `${(cell.w / width) * 100}%`;
+        tile.style.height = `${(cell.h / height) * 100}%`;
+        tile.style.background = heatmapColor(cell.item.percent, rangeOption.colorScale);
+
+        const name = document.createElement('span');
+        name.className = 'heatmap-name';
+        name.textContent = cell.item.name;
+        const percent = document.createElement('span');
+        percent.className = 'heatmap-percent';
+        percent.textContent = formatPercent(cell.item.percent);
+        tile.append(name, percent);
+        container.appendChild(tile);
+    });
+}
+
+function renderBreadth(tiles) {
+    const advancers = tiles.filter(tile => tile.percent > 0).length;
+    const decliners = tiles.filter(tile => tile.percent < 0).length;
+    const unchanged = tiles.length - advancers - decliners;
+
+    document.getElementById('breadth-counts').textContent = t('heatmap.breadth', { advancers, decliners, unchanged });
+    const bar = document.getElementById('breadth-bar');
+    bar.style.setProperty('--advancers', tiles.length ? advancers / tiles.length : 0);
+    bar.style.setProperty('--decliners', tiles.length ? decliners / tiles.length : 0);
+
+    const sorted = [...tiles].sort((a, b) => b.percent - a.percent);
+    const fillList = (id, list) => {
+        const el = document.getElementById(id);
+        el.innerHTML = '';
+        list.forEach(tile => {
+            const li = document.createElement('li');
+            li.dataset.symbol = tile.symbol;
+            const name = document.createElement('span');
+            name.textContent = tile.name;
+            const percent = document.createElement('span');
+            percent.className = signClass(tile.percent);
+            percent.textContent = formatPercent(tile.percent);
+            li.append(name, percent);
+            el.appendChild(li);
+        });
+    };
+    fillList('breadth-gainers', sorted.filter(tile => tile.percent > 0).slice(0, HEATMAP_TOP_COUNT));
+    fillList('breadth-losers', sorted.filter(tile => tile.percent < 0).reverse().slice(0, HEATMAP_TOP_COUNT));
+}
+
+async function refreshHeatmap() {
+    const universe = heatmapUniverses[document.getElementById('heatmap-universe').value];
+    const rangeOption = heatmapRanges.find(r => r.range === document.getElementById('heatmap-range').value);
+    if (!universe || !rangeOption) return;
+
+    const requestId = ++heatmapRequestId;
+    const status = document.getElementById('heatmap-status');
+    status.textContent = t('common.loading');
+
+    const entries = universe.symbols.map(normalizeUniverseEntry);
+    const tiles = balanceHeatmapWeights(
+        (await Promise.all(entries.map(entry => loadHeatmapTile(entry, rangeOption)))).filter(Boolean));
+    if (requestId !== heatmapRequestId) return; // A newer selection is loading
+
+    status.textContent = tiles.length < entries.length ? t('heatmap.missing', { count: entries.length - tiles.length }) : '';
+    heatmapLastRender = { tiles, rangeOption };
+    renderHeatmap(tiles, rangeOption);
+    renderBreadth(tiles);
+}
+
+// Open a tile / list entry in the search result panel
+function openHeatmapSymbol(symbol) {
+    document.getElementById('stock-code').value = symbol;
+    handleSearch('5y', '1mo').then(() => {
+        document.getElementById('search-result-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+}
+
+function initHeatmap() {
+    const universeSelect = document.getElementById('heatmap-universe');
+    universeSelect.innerHTML = Object.keys(heatmapUniverses)
+        .map(key => `<option value="${key}">${heatmapUniverses[key].label}</option>`)
+        .join('');
+    const rangeSelect = document.getElementById('heatmap-range');
+    rangeSelect.innerHTML = heatmapRanges.map(r => `<option value="${r.range}">${r.label}</option>`).join('');
+
+    universeSelect.addEventListener('change', refreshHeatmap);
+    rangeSelect.addEventListener('change', refreshHeatmap);
+
+    document.getElementById('heatmap-section').addEventListener('click', (e) => {
+        const target = e.target.closest('[data-symbol]');
+        if (target) openHeatmapSymbol(target.dataset.symbol);
+    });
+
+    // Tile positions are relative, but the layout itself depends on the aspect
+    // ratio: lay out the loaded tiles again without refetching
+    let resizeTimer = null;
+    window.addEventListener('resize', () => {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(() => {
+            if (heatmapLastRender) renderHeatmap(heatmapLastRender.tiles, heatmapLastRender.rangeOption);
+        }, 300);
+    });
+    // The first load is started after the dashboard cards (see script.js)
+}
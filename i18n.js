@@ -0,0 +1,110 @@
+// Localization
+// UI text is looked up in the message catalog (messages.js) with t('key', params);
+// {name} placeholders are filled from params. Static markup carries the key in
+// data-i18n (text), data-i18n-placeholder or data-i18n-title and is translated on
+// load. The language is stored locally; switching reloads the page so labels built
+// at startup follow it (the URL keeps the current view, see url-state.js).
+const LANGUAGE_STORAGE_KEY = 'language';
+const LANGUAGES = ['ko', 'en'];
+const languageLocales = { ko: 'ko-KR', en: 'en-US' };
+
+const currentLanguage = loadLanguage();
+
+function loadLanguage() {
+    const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    return LANGUAGES.includes(stored) ? stored : 'ko';
+}
+
+function getLocale() {
+    return languageLocales[currentLanguage];
+}
+
+// Missing translations fall back to Korean, then to the key itself
+function t(key, params = {}) {
+    const template = messages[currentLanguage][key] ?? messages.ko[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+}
+
+function setLanguage(language) {
+    if (!LANGUAGES.includes(language) || language === currentLanguage) return;
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    window.location.reload();
+}
+
+function initLanguage() {
+    applyTranslations();
+    const btn = document.getElementById('language-toggle');
+    btn.textContent = t('language.switch');
+    btn.title = t('language.switchTitle');
+    btn.addEventListener('click', () => setLanguage(currentLanguage === 'ko' ? 'en' : 'ko'));
+}
+
+// Set before the other scripts read them (url-state.js keeps the base title)
+document.documentElement.lang = currentLanguage;
+document.title = t('app.title');
+
+// Number Formatting
+// Prices follow the quote currency (meta.currency): KRW without decimals and ₩,
+// USD with $ and two decimals. Large figures use the language's compact units
+// (억/조 in Korean, K/M/B/T in English).
+const numberFormats = {};
+
+function getNumberFormat(options) {
+    const key = JSON.stringify(options);
+    if (!numberFormats[key]) numberFormats[key] = new Intl.NumberFormat(getLocale(), options);
+    return numberFormats[key];
+}
+
+function currencyDigits(currency) {
+    return currency === 'KRW' || currency === 'JPY' ? 0 : 2;
+}
+
+function formatNumber(value, maximumFractionDigits = 2) {
+    return getNumberFormat({ maximumFractionDigits }).format(value);
+}
+
+// Fixed decimals, e.g. index levels and ratios
+function formatFixed(value, digits = 2) {
+    return getNumberFormat({ minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+}
+
+// Amount with its currency symbol; without a currency (indices, FX rates) a plain
+// two-decimal number
+function formatMoney(value, currency) {
+    if (value === null || value === undefined || isNaN(value)) return '--';
+    if (!currency) return formatFixed(value);
+    const digits = currencyDigits(currency);
+    return getNumberFormat({
+        style: 'currency',
+        currency,
+        currencyDisplay: 'narrowSymbol',
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    }).format(value);
+}
+
+// Chart readouts (crosshair, markers): the currency's decimals, no symbol
+function formatChartValue(value, currency) {
+    return formatFixed(value, currency ? currencyDigits(currency) : 2);
+}
+
+function formatCompact(value, currency) {
+    if (value === null || value === undefined || isNaN(value)) return '--';
+    const options = { notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: currency === 'KRW' ? 1 : 2 };
+    if (currency) Object.assign(options, { style: 'currency', currency, currencyDisplay: 'narrowSymbol' });
+    return getNumberFormat(options).format(value);
+}
+
+function formatDateTime(time, options = {}) {
+    return new Date(time).toLocaleString(getLocale(), { hour12: false, ...options });
+}
+
+function formatDate(time) {
+    return new Date(time).toLocaleDateString(getLocale(), { year: 'numeric', month: '2-digit', day: '2-digit' });
+}
@@ -0,0 +1,337 @@
+// Technical Indicators
+// Pure calculations over a close-price array. Each returns an array aligned with
+// the input where bars without enough history are null.
+
+function calcSMA(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) sum -= values[i - period];
+        if (i >= period - 1) result[i] = sum / period;
+    }
+    return result;
+}
+
+function calcEMA(values, period) {
+    const result = new Array(values.length).fill(null);
+    if (values.length < period) return result;
+
+    // Seed with the SMA of the first `period` values
+    const k = 2 / (period + 1);
+    let ema = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    result[period - 1] = ema;
+    for (let i = period; i < values.length; i++) {
+        ema = values[i] * k + ema * (1 - k);
+        result[i] = ema;
+    }
+    return result;
+}
+
+function calcBollinger(values, period, multiplier) {
+    const middle = calcSMA(values, period);
+    const upper = new Array(values.length).fill(null);
+    const lower = new Array(values.length).fill(null);
+
+    for (let i = period - 1; i < values.length; i++) {
+        const window = values.slice(i - period + 1, i + 1);
+        const variance = window.reduce((acc, v) => acc + Math.pow(v - middle[i], 2), 0) / period;
+        const sd = Math.sqrt(variance);
+        upper[i] = middle[i] + multiplier * sd;
+        lower[i] = middle[i] - multiplier * sd;
+    }
+    return { upper, middle, lower };
+}
+
+// Wilder's RSI
+function calcRSI(values, period) {
+    const result = new Array(values.length).fill(null);
+    if (values.length <= period) return result;
+
+    let gain = 0;
+    let loss = 0;
+    for (let i = 1; i <= period; i++) {
+        const change = values[i] - values[i - 1];
+        if (change > 0) gain += change; else loss -= change;
+    }
+    gain /= period;
+    loss /= period;
+    result[period] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+
+    for (let i = period + 1; i < values.length; i++) {
+        const change = values[i] - values[i - 1];
+        gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+        loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+        result[i] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+    }
+    return result;
+}
+
+function calcMACD(values, fast, slow, signal) {
+    const fastEma = calcEMA(values, fast);
+    const slowEma = calcEMA(values, slow);
+    const macd = values.map((v, i) => fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null);
+
+    // Signal line is an EMA of the defined part of the MACD line
+    const start = macd.findIndex(v => v !== null);
+    const signalLine = new Array(values.length).fill(null);
+    if (start >= 0) {
+        calcEMA(macd.slice(start), signal).forEach((v, i) => { signalLine[start + i] = v; });
+    }
+    const histogram = macd.map((v, i) => v !== null && signalLine[i] !== null ? v - signalLine[i] : null);
+
+    return { macd, signal: signalLine, histogram };
+}
+
+// Indicator Definitions
+// `pane: 'overlay'` draws on the price chart, 'sub' gets its own synced pane below it.
+// Labels are message keys (indicator.<key>, indicator.param.<param>): this file is
+// also loaded by the backtest worker, which has no message catalog.
+const indicatorDefinitions = {
+    sma: { pane: 'overlay', params: { period: 20 } },
+    ema: { pane: 'overlay', params: { period: 12 } },
+    bb: { pane: 'overlay', params: { period: 20, multiplier: 2 } },
+    rsi: { pane: 'sub', params: { period: 14 } },
+    macd: { pane: 'sub', params: { fast: 12, slow: 26, signal: 9 } }
+};
+
+// Per-chart indicator state, keyed by chart id ('kospi', 'search', ...)
+const indicatorSettings = {};
+// Sub-pane Chart instances, keyed by `${chartId}-${indicator}`
+const subCharts = {};
+
+// Fixed y-axis width so the main chart and sub-panes line up horizontally
+const INDICATOR_AXIS_WIDTH = 64;
+
+function getIndicatorSettings(chartId) {
+    if (!indicatorSettings[chartId]) {
+        const settings = {};
+        Object.keys(indicatorDefinitions).forEach(key => {
+            settings[key] = { enabled: false, ...indicatorDefinitions[key].params };
+        });
+        indicatorSettings[chartId] = settings;
+    }
+    return indicatorSettings[chartId];
+}
+
+// Indicator Menu (one per .chart-controls-wrapper)
+function createIndicatorMenu() {
+    const menu = document.createElement('details');
+    menu.className = 'indicator-menu';
+
+    const rows = Object.keys(indicatorDefinitions).map(key => {
+        const def = indicatorDefinitions[key];
+        const inputs = Object.keys(def.params).map(param => `
+            <label class="indicator-param">${t(`indicator.param.${param}`)}
+                <input type="number" min="1" step="${param === 'multiplier' ? '0.5' : '1'}"
+                    data-indicator="${key}" data-param="${param}" value="${def.params[param]}">
+            </label>`).join('');
+        return `
+            <div class="indicator-row">
+                <label class="indicator-toggle">
+                    <input type="checkbox" data-indicator="${key}"> ${t(`indicator.${key}`)}
+                </label>
+                ${inputs}
+            </div>`;
+    }).join('');
+
+    menu.innerHTML = `<summary class="type-btn">${t('indicator.menu')}</summary><div class="indicator-panel">${rows}</div>`;
+    return menu;
+}
+
+function initIndicatorMenus() {
+    document.querySelectorAll('.chart-controls-wrapper').forEach(wrapper => {
+        if (!wrapper.querySelector('.indicator-menu')) {
+            wrapper.appendChild(createIndicatorMenu());
+        }
+    });
+}
+
+// Sync menu inputs into state; returns true if anything changed
+function handleIndicatorInput(input, chartId) {
+    const settings = getIndicatorSettings(chartId)[input.dataset.indicator];
+    if (!settings) return false;
+
+    if (input.type === 'checkbox') {
+        settings.enabled = input.checked;
+    } else {
+        const value = parseFloat(input.value);
+        if (!(value > 0)) return false;
+        settings[input.dataset.param] = input.dataset.param === 'multiplier' ? value : Math.round(value);
+    }
+    return true;
+}
+
+// Overlay Dataset Helper
+// xValues: candlestick time-scale x per bar, or null for the category (line) scale
+function buildIndicatorLine(label, values, xValues, color, extra = {}) {
+    return {
+        type: 'line',
+        label: label,
+        data: xValues ? values.map((v, i) => ({ x: xValues[i], y: v })) : values,
+        yAxisID: 'y',
+        order: 0,
+        borderColor: color,
+        borderWidth: 1.5,
+        pointRadius: 0,
+        fill: false,
+        spanGaps: false,
+        ...extra
+    };
+}
+
+// Append overlay datasets to `chart` and refresh sub-panes for `chartId`.
+// Always computed from the cached OHLC passed in, never refetched.
+function applyIndicators(chart, data, chartId, xValues, labels) {
+    const settings = getIndicatorSettings(chartId);
+    const closes = data.ohlc.map(item => item.c);
+
+    if (settings.sma.enabled) {
+        chart.data.datasets.push(buildIndicatorLine(`MA(${settings.sma.period})`, calcSMA(closes, settings.sma.period), xValues, '#f0b90b'));
+    }
+    if (settings.ema.enabled) {
+        chart.data.datasets.push(buildIndicatorLine(`EMA(${settings.ema.period})`, calcEMA(closes, settings.ema.period), xValues, '#a855f7'));
+    }
+    if (settings.bb.enabled) {
+        const bands = calcBollinger(closes, settings.bb.period, settings.bb.multiplier);
+        const bandColor = 'rgba(59, 130, 246, 0.7)';
+        chart.data.datasets.push(buildIndicatorLine(t('indicator.bbUpper'), bands.upper, xValues, bandColor, { borderWidth: 1 }));
+        chart.data.datasets.push(buildIndicatorLine(t('indicator.bbLower'), bands.lower, xValues, bandColor, {
+            borderWidth: 1,
+            fill: '-1', // Shade between the bands
+            backgroundColor: 'rgba(59, 130, 246, 0.08)'
+        }));
+        chart.data.datasets.push(buildIndicatorLine(t('indicator.bbMiddle'), bands.middle, xValues, bandColor, { borderWidth: 1, borderDash: [4, 4] }));
+    }
+
+    const activeSubPanes = Object.keys(indicatorDefinitions)
+        .filter(key => indicatorDefinitions[key].pane === 'sub' && settings[key].enabled);
+
+    // Align y-axis widths only while sub-panes are showing
+    if (activeSubPanes.length > 0) {
+        chart.config.options.scales.y.afterFit = (axis) => { axis.width = INDICATOR_AXIS_WIDTH; };
+    } else {
+        delete chart.config.options.scales.y.afterFit;
+    }
+    chart.config.options.scales.x.offset = true;
+    chart.config.options.onHover = (event, elements) => syncSubPaneHover(chartId, elements);
+
+    Object.keys(indicatorDefinitions)
+        .filter(key => indicatorDefinitions[key].pane === 'sub')
+        .forEach(key => {
+            if (settings[key].enabled) {
+                renderSubPane(chart, data, chartId, key, settings[key], xValues, labels);
+            } else {
+                removeSubPane(chartId, key);
+            }
+        });
+}
+
+function renderSubPane(mainChart, data, chartId, key, params, xValues, labels) {
+    const paneId = `${chartId}-${key}`;
+    const closes = data.ohlc.map(item => item.c);
+    const toPoints = (values) => xValues ? values.map((v, i) => ({ x: xValues[i], y: v })) : values;
+
+    let datasets = [];
+    let yOptions = {};
+    if (key === 'rsi') {
+        const rsi = calcRSI(closes, params.period);
+        const band = (level) => toPoints(closes.map(() => level));
+        datasets = [
+            { label: `RSI(${params.period})`, data: toPoints(rsi), borderColor: '#f0b90b', borderWidth: 1.5, pointRadius: 0 },
+            { label: '70', data: band(70), borderColor: 'rgba(246, 70, 93, 0.5)', borderWidth: 1, borderDash: [4, 4], pointRadius: 0 },
+            { label: '30', data: band(30), borderColor: 'rgba(46, 189, 133, 0.5)', borderWidth: 1, borderDash: [4, 4], pointRadius: 0 }
+        ];
+        yOptions = { min: 0, max: 100 };
+    } else if (key === 'macd') {
+        const macd = calcMACD(closes, params.fast, params.slow, params.signal);
+        datasets = [
+            { label: 'MACD', data: toPoints(macd.macd), borderColor: '#3b82f6', borderWidth: 1.5, pointRadius: 0 },
+            { label: t('indicator.param.signal'), data: toPoints(macd.signal), borderColor: '#f0b90b', borderWidth: 1.5, pointRadius: 0 },
+            {
+                type: 'bar',
+                label: t('indicator.histogram'),
+                data: toPoints(macd.histogram),
+                backgroundColor: macd.histogram.map(v => v >= 0 ? 'rgba(46, 189, 133, 0.5)' : 'rgba(246, 70, 93, 0.5)')
+            }
+        ];
+    }
+    datasets.forEach(ds => { ds.fill = false; });
+
+    let subChart = subCharts[paneId];
+    if (!subChart) {
+        const container = document.createElement('div');
+        container.className = 'chart-container sub-chart-container';
+        container.dataset.pane = paneId;
+        container.innerHTML = '<canvas></canvas>';
+        mainChart.canvas.parentElement.after(container);
+
+        const config = JSON.parse(JSON.stringify(chartConfig));
+        config.data = { labels: [], datasets: [] };
+        subChart = new Chart(container.querySelector('canvas').getContext('2d'), config);
+        subCharts[paneId] = subChart;
+    }
+
+    const scales = subChart.config.options.scales;
+    scales.x.display = false; // The main chart carries the time axis
+    scales.x.offset = true;
+    scales.y.afterFit = (axis) => { axis.width = INDICATOR_AXIS_WIDTH; };
+    scales.y.ticks.maxTicksLimit = 3;
+    delete scales.y.min;
+    delete scales.y.max;
+    Object.assign(scales.y, yOptions);
+
+    // Same tooltip title (date/time zone) as the main chart
+    subChart.config.options.plugins.tooltip.callbacks = mainChart.config.options.plugins.tooltip.callbacks;
+
+    if (xValues) {
+        // Match the main chart's time bounds
+        scales.x.type = 'time';
+        scales.x.min = xValues.length ? xValues[0] : undefined;
+        scales.x.max = xValues.length ? xValues[xValues.length - 1] : undefined;
+        subChart.data.labels = [];
+    } else {
+        delete scales.x.type;
+        delete scales.x.min;
+        delete scales.x.max;
+        subChart.data.labels = labels;
+    }
+
+    subChart.data.datasets = datasets;
+    subChart.update('none');
+}
+
+// Sub-pane charts of one chart. Ids are matched exactly: a prefix match would
+// also catch another card's panes ('watch-005930-ks-2-rsi' for 'watch-005930-ks').
+function getSubCharts(chartId) {
+    return Object.keys(indicatorDefinitions)
+        .map(key => subCharts[`${chartId}-${key}`])
+        .filter(Boolean);
+}
+
+function removeSubPane(chartId, key) {
+    const paneId = `${chartId}-${key}`;
+    if (!subCharts[paneId]) return;
+
+    const container = subCharts[paneId].canvas.parentElement;
+    subCharts[paneId].destroy();
+    delete subCharts[paneId];
+    container.remove();
+}
+
+// Mirror the main chart's hovered bar in every sub-pane of that chart
+function syncSubPaneHover(chartId, elements) {
+    getSubCharts(chartId).forEach(subChart => {
+        if (!elements || elements.length === 0) {
+            subChart.tooltip.setActiveElements([], { x: 0, y: 0 });
+        } else {
+            const index = elements[0].index;
+            const active = subChart.data.datasets
+                .map((ds, datasetIndex) => ({ datasetIndex, index }))
+                .filter(item => subChart.getDatasetMeta(item.datasetIndex).data[index]);
+            const point = active.length ? subChart.getDatasetMeta(active[0].datasetIndex).data[index] : null;
+            subChart.tooltip.setActiveElements(active, point ? { x: point.x, y: point.y } : { x: 0, y: 0 });
+        }
+        subChart.update('none');
+    });
+}
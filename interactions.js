@@ -0,0 +1,322 @@
+// Chart Interactions
+// - Crosshair with an OHLC readout for the hovered bar
+// - Wheel/pinch zoom and drag pan on the time axis (chartjs-plugin-zoom)
+// - Drag-to-measure: Shift+drag, or drag while the Measure button is on
+// Panning to the start of the loaded data loads the next wider range.
+const CHART_EVENTS = ['mousemove', 'mouseout', 'click', 'mousedown', 'mouseup', 'touchstart', 'touchmove', 'touchend'];
+
+// Index of the bar nearest to an x pixel (first dataset is the price series)
+function nearestBarIndex(chart, x) {
+    const elements = chart.getDatasetMeta(0).data;
+    let best = -1;
+    let bestDistance = Infinity;
+    elements.forEach((element, i) => {
+        const distance = Math.abs(element.x - x);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i;
+        }
+    });
+    return best;
+}
+
+// Small filled label box; (x, y) is the top-left corner
+function drawLabel(ctx, text, x, y, color) {
+    ctx.font = "11px 'JetBrains Mono', monospace";
+    const width = ctx.measureText(text).width + 8;
+    ctx.fillStyle = 'rgba(23, 25, 30, 0.85)';
+    ctx.fillRect(x, y, width, 16);
+    ctx.fillStyle = color;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x + 4, y + 8);
+    return width;
+}
+
+const crosshairPlugin = {
+    id: 'crosshair',
+    defaults: { enabled: false, color: 'rgba(139, 146, 165, 0.5)' },
+
+    afterEvent(chart, args, options) {
+        if (!options.enabled) return;
+        const event = args.event;
+        if (event.type === 'mouseout' || !args.inChartArea) {
+            if (chart.$crosshair) {
+                chart.$crosshair = null;
+                args.changed = true;
+            }
+            return;
+        }
+        if (event.type === 'mousemove') {
+            chart.$crosshair = { x: event.x, y: event.y, index: nearestBarIndex(chart, event.x) };
+            args.changed = true;
+        }
+    },
+
+    afterDatasetsDraw(chart, args, options) {
+        const crosshair = chart.$crosshair;
+        if (!options.enabled || !crosshair) return;
+        const { ctx, chartArea } = chart;
+
+        ctx.save();
+        ctx.strokeStyle = options.color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(crosshair.x, chartArea.top);
+        ctx.lineTo(crosshair.x, chartArea.bottom);
+        ctx.moveTo(chartArea.left, crosshair.y);
+        ctx.lineTo(chartArea.right, crosshair.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Value at the horizontal line, against the right axis
+        const value = chart.scales.y.getValueForPixel(crosshair.y);
+        const currency = chart.$stockData ? getChartCurrency(chart.$chartId, chart.$stockData) : null;
+        const valueText = chart.$stockData ? formatChartValue(value, currency) : `${value.toFixed(2)}%`;
+        ctx.font = "11px 'JetBrains Mono', monospace";
+        const valueWidth = ctx.measureText(valueText).width + 8;
+        drawLabel(ctx, valueText, chartArea.right - valueWidth, crosshair.y - 8, '#fff');
+
+        // OHLC readout for the hovered bar (not in compare mode, which has no single OHLC)
+        const bar = chart.$stockData && chart.$stockData.ohlc[crosshair.index];
+        if (bar) {
+            const color = bar.c >= bar.o ? '#2ebd85' : '#f6465d';
+            let text = `O ${formatChartValue(bar.o, currency)}  H ${formatChartValue(bar.h, currency)}  L ${formatChartValue(bar.l, currency)}  C ${formatChartValue(bar.c, currency)}`;
+            if (bar.v) text += `  V ${formatCompact(bar.v)}`;
+            drawLabel(ctx, text, chartArea.left + 4, chartArea.top + 4, color);
+        }
+        ctx.restore();
+    }
+};
+
+function measurePoint(chart, event) {
+    return {
+        x: event.x,
+        y: event.y,
+        value: chart.scales.y.getValueForPixel(event.y),
+        index: nearestBarIndex(chart, event.x)
+    };
+}
+
+const measurePlugin = {
+    id: 'measure',
+    defaults: { enabled: false },
+
+    afterEvent(chart, args, options) {
+        if (!options.enabled) return;
+        const event = args.event;
+        const measure = chart.$measure;
+
+        if (event.type === 'mousedown') {
+            if (args.inChartArea && (chart.$measureMode || (event.native && event.native.shiftKey))) {
+                const point = measurePoint(chart, event);
+                chart.$measure = { start: point, end: point, dragging: true };
+                args.changed = true;
+            } else if (measure && !measure.dragging) {
+                // Any other press clears the last measurement
+                chart.$measure = null;
+                args.changed = true;
+            }
+        } else if (event.type === 'mousemove' && measure && measure.dragging) {
+            measure.end = measurePoint(chart, event);
+            args.changed = true;
+        } else if (event.type === 'mouseup' && measure && measure.dragging) {
+            measure.dragging = false;
+            args.changed = true;
+        }
+    },
+
+    afterDatasetsDraw(chart, args, options) {
+        const measure = chart.$measure;
+        if (!options.enabled || !measure || measure.start.x === measure.end.x) return;
+        const { ctx, chartArea } = chart;
+        const { start, end } = measure;
+
+        const change = end.value - start.value;
+        const color = change >= 0 ? '#2ebd85' : '#f6465d';
+        const bars = Math.abs(end.index - start.index);
+
+        ctx.save();
+        ctx.fillStyle = change >= 0 ? 'rgba(46, 189, 133, 0.12)' : 'rgba(246, 70, 93, 0.12)';
+        ctx.fillRect(Math.min(start.x, end.x), Math.min(start.y, end.y), Math.abs(end.x - start.x), Math.abs(end.y - start.y));
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+
+        // Compare mode plots percent already, so the change is in percentage points
+        const barsText = t('chart.bars', { count: bars });
+        const text = chart.$stockData
+            ? `${change >= 0 ? '+' : ''}${formatChartValue(change, getChartCurrency(chart.$chartId, chart.$stockData))} (${formatPercent(start.value ? (change / start.value) * 100 : 0)}) · ${barsText}`
+            : `${change >= 0 ? '+' : ''}${change.toFixed(2)}%p · ${barsText}`;
+        ctx.font = "11px 'JetBrains Mono', monospace";
+        const width = ctx.measureText(text).width + 8;
+        const x = Math.min(Math.max(end.x + 6, chartArea.left), chartArea.right - width);
+        const y = Math.min(Math.max(end.y - 20, chartArea.top), chartArea.bottom - 16);
+        drawLabel(ctx, text, x, y, color);
+        ctx.restore();
+    }
+};
+
+Chart.register(crosshairPlugin, measurePlugin);
+
+// Interaction options for a main chart config (set before `new Chart`, since
+// chartConfig is JSON-cloned and can't carry the callbacks)
+function applyInteractionOptions(options, chartId) {
+    options.events = CHART_EVENTS;
+    options.plugins.crosshair = { enabled: true };
+    options.plugins.measure = { enabled: true };
+    options.plugins.zoom = {
+        limits: { x: {} }, // Set to the loaded data by prepareChartView
+        pan: {
+            enabled: true,
+            mode: 'x',
+            // Shift+drag and measure mode belong to the measure tool
+            onPanStart: ({ chart, event }) => !(chart.$measureMode || (event.srcEvent && event.srcEvent.shiftKey)),
+            onPan: ({ chart }) => syncSubPaneRange(chartId, chart),
+            onPanComplete: ({ chart }) => handleChartViewChange(chart, chartId, true)
+        },
+        zoom: {
+            wheel: { enabled: true },
+            pinch: { enabled: true },
+            mode: 'x',
+            onZoom: ({ chart }) => syncSubPaneRange(chartId, chart),
+            onZoomComplete: ({ chart }) => handleChartViewChange(chart, chartId, false)
+        }
+    };
+}
+
+function isChartZoomed(chart) {
+    return typeof chart.isZoomedOrPanned === 'function' && chart.isZoomedOrPanned();
+}
+
+// Called by the renderers before each update: keep zoom/pan inside the loaded
+// data, and start unzoomed when a different data window (range/type) is shown.
+function prepareChartView(chart, data, viewKey, minX, maxX) {
+    chart.$stockData = data;
+    if (chart.$viewKey !== viewKey) {
+        chart.$viewKey = viewKey;
+        chart.$measure = null;
+        if (isChartZoomed(chart)) chart.resetZoom('none');
+        updateZoomResetButton(chart);
+    }
+    const zoom = chart.config.options.plugins.zoom;
+    if (zoom) zoom.limits.x = { min: minX, max: maxX };
+}
+
+// Sub-panes (RSI/MACD) follow the main chart's visible x range
+function syncSubPaneRange(chartId, chart) {
+    const { min, max } = chart.scales.x;
+    getSubCharts(chartId).forEach(subChart => {
+        subChart.config.options.scales.x.min = min;
+        subChart.config.options.scales.x.max = max;
+        subChart.update('none');
+    });
+}
+
+function getControlsWrapper(chartId) {
+    if (chartId === 'search') return document.querySelector('#search-result-section .chart-controls-wrapper');
+    return document.querySelector(`.chart-controls-wrapper[data-index-id="${chartId}"]`);
+}
+
+function getChartInstance(chartId) {
+    return chartId === 'search' ? charts['searchResult'] : charts[chartId];
+}
+
+function updateZoomResetButton(chart) {
+    const wrapper = chart.$chartId && getControlsWrapper(chart.$chartId);
+    const button = wrapper && wrapper.querySelector('.zoom-reset-btn');
+    if (button) button.hidden = !isChartZoomed(chart);
+}
+
+function handleChartViewChange(chart, chartId, panned) {
+    updateZoomResetButton(chart);
+    syncSubPaneRange(chartId, chart);
+
+    // Dragged to the first loaded bar: fetch more history
+    const first = chart.getDatasetMeta(0).data[0];
+    if (panned && first && first.x >= chart.chartArea.left - 1) {
+        loadWiderRange(chart, chartId);
+    }
+}
+
+// Swap to the next wider range button and keep the same time window in view
+async function loadWiderRange(chart, chartId) {
+    if (chart.$loadingWider) return;
+
+    const current = chartId === 'search' ? lastFetchedData : cards.find(c => c.id === chartId);
+    if (!current || !chart.$stockData) return;
+    const position = rangeOptions.findIndex(option => option.range === current.range);
+    let next = position >= 0 ? rangeOptions[position + 1] : null;
+    if (position === rangeOptions.length - 1) next = { range: 'max', interval: '1mo' };
+    if (!next) return; // Already the widest range (or a custom one)
+
+    // Visible window as timestamps, to restore after the reload
+    const timestamps = chart.$stockData.timestamps;
+    const elements = chart.getDatasetMeta(0).data;
+    const visible = elements
+        .map((element, i) => (element.x >= chart.chartArea.left && element.x <= chart.chartArea.right ? i : -1))
+        .filter(i => i >= 0);
+    const windowStart = timestamps[visible[0]];
+    const windowEnd = timestamps[visible[visible.length - 1]];
+
+    chart.$loadingWider = true;
+    try {
+        await handleChartUpdate(chartId, next.range, next.interval, null);
+    } finally {
+        chart.$loadingWider = false;
+    }
+
+    const newTimestamps = chart.$stockData ? chart.$stockData.timestamps : [];
+    const startIndex = newTimestamps.findIndex(time => time >= windowStart);
+    let endIndex = -1;
+    newTimestamps.forEach((time, i) => {
+        if (time <= windowEnd) endIndex = i;
+    });
+    if (startIndex < 0 || endIndex <= startIndex || typeof chart.zoomScale !== 'function') return;
+
+    // Candlestick charts use time values on x, line charts use label indexes
+    const dataset = chart.data.datasets[0].data;
+    const toX = (i) => (chart.config.type === 'candlestick' ? dataset[i].x : i);
+    chart.zoomScale('x', { min: toX(startIndex), max: toX(endIndex) }, 'none');
+    handleChartViewChange(chart, chartId, false);
+}
+
+// Measure toggle, zoom reset and export menu, added next to the indicator menu
+function createChartTools() {
+    const tools = document.createElement('div');
+    tools.className = 'chart-tools';
+    tools.innerHTML = `
+        <button class="tool-btn measure-btn" title="${t('chart.measureTitle')}">${t('chart.measure')}</button>
+        <button class="tool-btn zoom-reset-btn" title="${t('chart.zoomResetTitle')}" hidden>${t('chart.zoomReset')}</button>`;
+    tools.appendChild(createExportMenu());
+    return tools;
+}
+
+function initChartTools() {
+    document.querySelectorAll('.chart-controls-wrapper').forEach(wrapper => {
+        if (!wrapper.querySelector('.chart-tools')) {
+            wrapper.appendChild(createChartTools());
+        }
+    });
+}
+
+function handleChartToolClick(button, chartId) {
+    const chart = getChartInstance(chartId);
+    if (!chart) return;
+
+    if (button.classList.contains('measure-btn')) {
+        chart.$measureMode = !chart.$measureMode;
+        button.classList.toggle('active', chart.$measureMode);
+        if (!chart.$measureMode) {
+            chart.$measure = null;
+            chart.update('none');
+        }
+    } else if (button.classList.contains('zoom-reset-btn')) {
+        if (isChartZoomed(chart)) chart.resetZoom('none');
+        syncSubPaneRange(chartId, chart);
+        updateZoomResetButton(chart);
+    }
+}
@@ -0,0 +1,418 @@
+// Dashboard Layout
+// The dashboard cards are generated from a layout config instead of markup:
+//   { "version": 1, "cards": [{ "id", "symbol", "name", "region", "range", "interval", "type", "size" }] }
+// range/interval/type are the card's defaults (what it shows on load; the URL can
+// override them, see url-state.js) and size is '1x1' or '2x1'. The layout is saved
+// locally and can be exported/imported as JSON. Edit mode shows per-card controls
+// and lets cards be reordered by drag-and-drop (or the arrow buttons).
+const LAYOUT_STORAGE_KEY = 'dashboardLayout';
+const LAYOUT_VERSION = 1;
+const LEGACY_WATCHLIST_KEY = 'watchlist'; // Cards saved before layouts existed
+const LAYOUT_SIZES = ['1x1', '2x1'];
+const DEFAULT_CARD_VIEW = { range: '5y', interval: '1mo', type: 'candlestick' };
+
+const defaultLayoutCards = [
+    { id: 'kospi', symbol: '^KS11', name: t('layout.card.kospi'), region: t('layout.region.kr') },
+    { id: 'kosdaq', symbol: '^KQ11', name: t('layout.card.kosdaq'), region: t('layout.region.kr') },
+    { id: 'nasdaq', symbol: '^IXIC', name: t('layout.card.nasdaq'), region: t('layout.region.us') },
+    { id: 'sp500', symbol: '^GSPC', name: 'S&P 500', region: t('layout.region.us') }
+];
+
+let dashboardLayout = loadLayout();
+let layoutEditing = false;
+let layoutDragFromHandle = false; // Drags only start from a card's handle
+let draggedCardId = null;
+
+// DOM-safe card id for a symbol (e.g. '005930.KS' -> 'watch-005930-ks')
+function cardIdForSymbol(symbol) {
+    return `watch-${symbol.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+}
+
+// Config
+// Fills in defaults and drops what can't be used; returns null for a non-card entry
+function normalizeLayoutCard(entry, usedIds) {
+    if (!entry || typeof entry.symbol !== 'string' || !entry.symbol.trim()) return null;
+    const symbol = entry.symbol.trim();
+    const validRange = typeof entry.range === 'string' && typeof entry.interval === 'string' &&
+        !validateRangeSelection(entry.range, entry.interval);
+
+    const baseId = typeof entry.id === 'string' && /^[a-z][a-z0-9-]*$/.test(entry.id) ? entry.id : cardIdForSymbol(symbol);
+    let id = baseId;
+    for (let n = 2; usedIds.has(id); n++) id = `${baseId}-${n}`;
+    usedIds.add(id);
+
+    return {
+        id,
+        symbol,
+        name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : symbol,
+        region: typeof entry.region === 'string' ? entry.region : '',
+        range: validRange ? entry.range : DEFAULT_CARD_VIEW.range,
+        interval: validRange ? entry.interval : DEFAULT_CARD_VIEW.interval,
+        type: CHART_TYPES.includes(entry.type) ? entry.type : DEFAULT_CARD_VIEW.type,
+        size: LAYOUT_SIZES.includes(entry.size) ? entry.size : '1x1'
+    };
+}
+
+function normalizeLayout(layout) {
+    if (!layout || !Array.isArray(layout.cards)) return null;
+    const usedIds = new Set();
+    return {
+        version: LAYOUT_VERSION,
+        cards: layout.cards.map(entry => normalizeLayoutCard(entry, usedIds)).filter(Boolean)
+    };
+}
+
+function loadLayout() {
+    try {
+        const layout = normalizeLayout(JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY)));
+        if (layout) return layout;
+    } catch (error) {
+        console.error('Error loading dashboard layout:', error);
+    }
+
+    // First run: the built-in cards plus any watchlist cards from older versions
+    let legacy = [];
+    try {
+        legacy = JSON.parse(localStorage.getItem(LEGACY_WATCHLIST_KEY)) || [];
+    } catch (error) {
+        console.error('Error loading watchlist:', error);
+    }
+    return normalizeLayout({ cards: defaultLayoutCards.concat(legacy) });
+}
+
+function saveLayout() {
+    localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(dashboardLayout));
+    localStorage.removeItem(LEGACY_WATCHLIST_KEY); // Migrated into the layout
+}
+
+// Saved defaults for a card (null for unknown ids)
+function getLayoutCard(id) {
+    return dashboardLayout.cards.find(entry => entry.id === id) || null;
+}
+
+// Card state for a layout entry. Built-in cards show their name in the current
+// language, whichever language the layout was saved in.
+function createCardState(entry) {
+    const builtIn = defaultLayoutCards.find(card => card.id === entry.id && card.symbol === entry.symbol);
+    return builtIn ? { ...entry, name: builtIn.name, region: builtIn.region } : { ...entry };
+}
+
+// Cards
+function getDashboardGrid() {
+    return document.querySelector('.dashboard-grid');
+}
+
+function getCardElement(id) {
+    return getDashboardGrid().querySelector(`.market-card[data-card-id="${id}"]`);
+}
+
+function renderDashboardCards() {
+    const grid = getDashboardGrid();
+    grid.innerHTML = '';
+    cards.forEach(card => grid.appendChild(createCardElement(card)));
+}
+
+// Chart, sub-panes and indicator state of a card that is going away
+function destroyCardChart(id) {
+    Object.keys(indicatorDefinitions).forEach(key => removeSubPane(id, key));
+    if (charts[id]) {
+        charts[id].destroy();
+        delete charts[id];
+    }
+    delete indicatorSettings[id];
+}
+
+// Add a card to the layout and the grid. `data` (e.g. the search result) is drawn
+// right away instead of fetching. Returns the card element.
+function addLayoutCard(fields, data) {
+    const entry = normalizeLayoutCard(fields, new Set(cards.map(card => card.id)));
+    dashboardLayout.cards.push(entry);
+    saveLayout();
+
+    const card = createCardState(entry);
+    cards.push(card);
+    const el = createCardElement(card);
+    el.draggable = layoutEditing;
+    getDashboardGrid().appendChild(el);
+    createCardChart(card);
+
+    if (data) {
+        card.lastData = data;
+        updateChartUI(charts[card.id], card.lastData, card.id, true, card.type);
+    } else {
+        updateIndexData(card).then(() => adoptProviderName(card));
+    }
+    updateSessionBadges();
+    updateStreamSubscriptions();
+    return el;
+}
+
+// Cards added by symbol start out named after it; take the provider's name once known
+function adoptProviderName(card) {
+    const entry = getLayoutCard(card.id);
+    if (!entry || entry.name !== entry.symbol || !card.lastData || !card.lastData.name) return;
+    entry.name = card.name = card.lastData.name;
+    saveLayout();
+    const el = getCardElement(card.id);
+    if (el) el.querySelector('.symbol-info h2').textContent = card.name;
+}
+
+function removeLayoutCard(id) {
+    const index = cards.findIndex(card => card.id === id);
+    if (index < 0) return;
+
+    if (cards[index].abortController) cards[index].abortController.abort();
+    cards.splice(index, 1);
+    dashboardLayout.cards = dashboardLayout.cards.filter(entry => entry.id !== id);
+    saveLayout();
+
+    destroyCardChart(id);
+    const el = getCardElement(id);
+    if (el) el.remove();
+    updateStreamSubscriptions();
+    syncUrlState();
+}
+
+// Put cards, layout entries and card elements in the given id order
+function reorderCards(ids) {
+    const rank = (id) => ids.indexOf(id);
+    cards.sort((a, b) => rank(a.id) - rank(b.id));
+    dashboardLayout.cards.sort((a, b) => rank(a.id) - rank(b.id));
+    saveLayout();
+
+    const grid = getDashboardGrid();
+    cards.forEach(card => {
+        const el = getCardElement(card.id);
+        if (el) grid.appendChild(el);
+    });
+}
+
+function moveLayoutCard(id, offset) {
+    const ids = cards.map(card => card.id);
+    const from = ids.indexOf(id);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= ids.length) return;
+    ids.splice(to, 0, ids.splice(from, 1)[0]);
+    reorderCards(ids);
+}
+
+// Change a card's saved defaults (size, range/interval, type) and show them
+function updateLayoutCard(id, changes) {
+    const entry = getLayoutCard(id);
+    const card = cards.find(c => c.id === id);
+    if (!entry || !card) return;
+    Object.assign(entry, changes);
+    saveLayout();
+
+    if (changes.size) {
+        card.size = entry.size;
+        getCardElement(id).classList.toggle('card-wide', entry.size === '2x1');
+        return;
+    }
+
+    const wrapper = getControlsWrapper(id);
+    setActiveRangeButtons(wrapper, entry.range, entry.interval);
+    setActiveTypeButtons(wrapper, entry.type);
+    const rangeChanged = card.range !== entry.range || card.interval !== entry.interval;
+    handleChartUpdate(id, rangeChanged ? entry.range : null, rangeChanged ? entry.interval : null, entry.type);
+}
+
+// Layout Editor
+function buildIntervalOptions(range, selected) {
+    return getValidIntervals(range).map(interval => {
+        const option = intervalOptions.find(o => o.interval === interval);
+        return `<option value="${interval}"${interval === selected ? ' selected' : ''}>${option.label}</option>`;
+    }).join('');
+}
+
+// Edit-mode controls shown at the top of each card
+function createCardLayoutBar(card) {
+    const bar = document.createElement('div');
+    bar.className = 'card-layout-bar';
+    const presetRange = rangePresets.some(p => p.range === card.range);
+
+    bar.innerHTML = `
+        <span class="card-drag-handle" title="${t('layout.drag')}">⠿</span>
+        <button class="layout-move-btn" data-move="-1" title="${t('layout.moveEarlier')}">◀</button>
+        <button class="layout-move-btn" data-move="1" title="${t('layout.moveLater')}">▶</button>
+        <select class="layout-size" title="${t('layout.size')}">
+            ${LAYOUT_SIZES.map(size => `<option value="${size}"${size === card.size ? ' selected' : ''}>${size.replace('x', '×')}</option>`).join('')}
+        </select>
+        <span class="layout-label">${t('layout.defaults')}</span>
+        <select class="layout-range" title="${t('layout.defaultRange')}">
+            ${presetRange ? '' : `<option value="${card.range}" selected>${describeRange(card.range, card.interval)}</option>`}
+            ${rangePresets.map(p => `<option value="${p.range}"${p.range === card.range ? ' selected' : ''}>${p.label}</option>`).join('')}
+        </select>
+        <select class="layout-interval" title="${t('layout.defaultInterval')}">${buildIntervalOptions(card.range, card.interval)}</select>
+        <select class="layout-type" title="${t('layout.defaultType')}">
+            <option value="line"${card.type === 'line' ? ' selected' : ''}>${t('chart.line')}</option>
+            <option value="candlestick"${card.type === 'candlestick' ? ' selected' : ''}>${t('chart.candle')}</option>
+        </select>`;
+    return bar;
+}
+
+function handleLayoutBarChange(e) {
+    const cardEl = e.target.closest('.market-card[data-card-id]');
+    if (!cardEl || !e.target.closest('.card-layout-bar')) return;
+    const id = cardEl.dataset.cardId;
+
+    if (e.target.classList.contains('layout-size')) {
+        updateLayoutCard(id, { size: e.target.value });
+    } else if (e.target.classList.contains('layout-range')) {
+        const intervalSelect = cardEl.querySelector('.layout-interval');
+        const interval = pickDefaultInterval(e.target.value, intervalSelect.value);
+        intervalSelect.innerHTML = buildIntervalOptions(e.target.value, interval);
+        updateLayoutCard(id, { range: e.target.value, interval });
+    } else if (e.target.classList.contains('layout-interval')) {
+        updateLayoutCard(id, { interval: e.target.value });
+    } else if (e.target.classList.contains('layout-type')) {
+        updateLayoutCard(id, { type: e.target.value });
+    }
+}
+
+function setLayoutEditing(editing) {
+    layoutEditing = editing;
+    getDashboardGrid().classList.toggle('layout-editing', editing);
+    document.getElementById('layout-editor').hidden = !editing;
+    document.getElementById('layout-edit-btn').textContent = t(editing ? 'layout.done' : 'layout.edit');
+    getDashboardGrid().querySelectorAll('.market-card[data-card-id]').forEach(el => { el.draggable = editing; });
+}
+
+async function addCardFromEditor() {
+    const input = document.getElementById('layout-symbol-input');
+    const text = input.value.trim();
+    if (!text) return;
+
+    // Accept names and KRX codes like the main search does
+    const candidates = await resolveSearchSymbols(text, '');
+    const symbol = candidates[0] || text.toUpperCase();
+    input.value = '';
+
+    // One card per symbol, like addSearchToWatchlist: point at the existing one
+    const existing = cards.find(card => card.symbol === symbol);
+    const el = existing ? getCardElement(existing.id) : addLayoutCard({ symbol, name: masterName(symbol) || symbol });
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Replace the whole dashboard (import / reset)
+function applyLayout(layout) {
+    cards.forEach(card => {
+        if (card.abortController) card.abortController.abort();
+        destroyCardChart(card.id);
+    });
+
+    dashboardLayout = layout;
+    saveLayout();
+    cards.splice(0, cards.length, ...layout.cards.map(createCardState));
+
+    renderDashboardCards();
+    setLayoutEditing(layoutEditing);
+    cards.forEach(createCardChart);
+    Promise.all(cards.map(updateIndexData));
+    updateSessionBadges();
+    updateStreamSubscriptions();
+    syncUrlState({ replace: true });
+}
+
+function exportLayoutJson() {
+    const blob = new Blob([JSON.stringify(dashboardLayout, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, 'dashboard-layout.json');
+}
+
+function importLayoutJson(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        let layout = null;
+        try {
+            layout = normalizeLayout(JSON.parse(reader.result));
+        } catch (error) {
+            console.error('Error importing dashboard layout:', error);
+        }
+        if (!layout) {
+            showToast(t('layout.importError'));
+            return;
+        }
+        applyLayout(layout);
+        showToast(t('layout.imported', { count: layout.cards.length }));
+    };
+    reader.readAsText(file);
+}
+
+function resetLayout() {
+    if (!confirm(t('layout.resetConfirm'))) return;
+    applyLayout(normalizeLayout({ cards: defaultLayoutCards }));
+}
+
+// Drag-and-drop: the dragged card moves live; the order is saved on drop
+function initLayoutDragAndDrop() {
+    const grid = getDashboardGrid();
+
+    grid.addEventListener('pointerdown', (e) => {
+        layoutDragFromHandle = Boolean(e.target.closest('.card-drag-handle'));
+    });
+
+    grid.addEventListener('dragstart', (e) => {
+        const cardEl = e.target.closest && e.target.closest('.market-card[data-card-id]');
+        if (!layoutEditing || !cardEl || !layoutDragFromHandle) {
+            e.preventDefault();
+            return;
+        }
+        draggedCardId = cardEl.dataset.cardId;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', draggedCardId);
+        cardEl.classList.add('dragging');
+    });
+
+    grid.addEventListener('dragover', (e) => {
+        if (!draggedCardId) return;
+        e.preventDefault();
+        const dragged = getCardElement(draggedCardId);
+        const target = e.target.closest('.market-card[data-card-id]');
+        if (!dragged || !target || target === dragged) return;
+
+        // Take the target's slot: after it when moving forward, before it when moving back
+        const movingForward = dragged.compareDocumentPosition(target) & Node.DOCUMENT_POSITION_FOLLOWING;
+        if (movingForward) target.after(dragged);
+        else target.before(dragged);
+    });
+
+    grid.addEventListener('drop', (e) => {
+        if (draggedCardId) e.preventDefault();
+    });
+
+    grid.addEventListener('dragend', () => {
+        if (!draggedCardId) return;
+        const dragged = getCardElement(draggedCardId);
+        if (dragged) dragged.classList.remove('dragging');
+        draggedCardId = null;
+        layoutDragFromHandle = false;
+        reorderCards(Array.from(grid.querySelectorAll('.market-card[data-card-id]')).map(el => el.dataset.cardId));
+    });
+}
+
+function initDashboardLayout() {
+    renderDashboardCards();
+    initLayoutDragAndDrop();
+
+    const grid = getDashboardGrid();
+    grid.addEventListener('change', handleLayoutBarChange);
+    grid.addEventListener('click', (e) => {
+        const button = e.target.closest('.layout-move-btn');
+        if (button) moveLayoutCard(button.closest('.market-card[data-card-id]').dataset.cardId, Number(button.dataset.move));
+    });
+
+    document.getElementById('layout-edit-btn').addEventListener('click', () => setLayoutEditing(!layoutEditing));
+    document.getElementById('layout-add-btn').addEventListener('click', addCardFromEditor);
+    document.getElementById('layout-symbol-input').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addCardFromEditor();
+    });
+    document.getElementById('layout-export-btn').addEventListener('click', exportLayoutJson);
+    document.getElementById('layout-reset-btn').addEventListener('click', resetLayout);
+
+    const fileInput = document.getElementById('layout-import-file');
+    document.getElementById('layout-import-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) importLayoutJson(fileInput.files[0]);
+        fileInput.value = '';
+    });
+}
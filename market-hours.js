@@ -0,0 +1,189 @@
+// Exchange Calendar
+// Session times are exchange-local ('HH:MM'). Holiday lists are per year and
+// need extending each December when the exchanges publish the next calendar; a
+// year without a list is treated as having no holidays, logged once and flagged
+// on the session badges.
+const exchangeCalendars = {
+    KRX: {
+        name: 'KRX',
+        label: t('market.kr'),
+        timeZone: 'Asia/Seoul',
+        pre: ['08:30', '09:00'],
+        regular: ['09:00', '15:30'],
+        post: ['15:40', '18:00'],
+        holidays: [
+            // 2025
+            '2025-01-01', '2025-01-28', '2025-01-29', '2025-01-30', '2025-03-03', '2025-05-01',
+            '2025-05-05', '2025-05-06', '2025-06-03', '2025-06-06', '2025-08-15', '2025-10-03',
+            '2025-10-06', '2025-10-07', '2025-10-08', '2025-10-09', '2025-12-25', '2025-12-31',
+            // 2026
+            '2026-01-01', '2026-02-16', '2026-02-17', '2026-02-18', '2026-03-02', '2026-05-01',
+            '2026-05-05', '2026-05-25', '2026-06-03', '2026-08-17', '2026-09-24', '2026-09-25',
+            '2026-10-05', '2026-10-09', '2026-12-25', '2026-12-31',
+            // 2027
+            '2027-01-01', '2027-02-08', '2027-02-09', '2027-03-01', '2027-05-05', '2027-05-13',
+            '2027-08-16', '2027-09-14', '2027-09-15', '2027-09-16', '2027-10-04', '2027-10-11',
+            '2027-12-27', '2027-12-31'
+        ],
+        earlyCloses: {}
+    },
+    US: {
+        name: 'NYSE/NASDAQ',
+        label: t('market.us'),
+        timeZone: 'America/New_York',
+        pre: ['04:00', '09:30'],
+        regular: ['09:30', '16:00'],
+        post: ['16:00', '20:00'],
+        holidays: [
+            // 2025
+            '2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26',
+            '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25',
+            // 2026
+            '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25', '2026-06-19',
+            '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25',
+            // 2027
+            '2027-01-01', '2027-01-18', '2027-02-15', '2027-03-26', '2027-05-31', '2027-06-18',
+            '2027-07-05', '2027-09-06', '2027-11-25', '2027-12-24'
+        ],
+        // Regular session ends early (post-market closes at 17:00 on these days)
+        earlyCloses: {
+            '2025-07-03': '13:00', '2025-11-28': '13:00', '2025-12-24': '13:00',
+            '2026-11-27': '13:00', '2026-12-24': '13:00',
+            '2027-11-26': '13:00'
+        }
+    }
+};
+
+const sessionLabels = {
+    pre: t('session.pre'),
+    open: t('session.open'),
+    post: t('session.post'),
+    closed: t('session.closed')
+};
+
+// Refresh cards of closed markets this often (picks up late settlement prints)
+const CLOSED_MARKET_REFRESH_MS = 30 * 60 * 1000;
+
+const calendarWarnings = new Set(); // `${exchangeId}|${year}` already logged
+
+// Which calendar a symbol trades on; null = around the clock (FX, crypto)
+function getSymbolExchange(symbol) {
+    if (/\.(KS|KQ)$/i.test(symbol) || symbol === '^KS11' || symbol === '^KQ11') return 'KRX';
+    if (/=X$/i.test(symbol) || /-USD$/i.test(symbol)) return null;
+    return 'US';
+}
+
+// Calendar date, weekday and minutes-since-midnight in an exchange's time zone
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: parts.weekday,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+function toMinutes(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+// Whether the exchange's holiday list covers the year of `date`
+function hasHolidayCalendar(exchangeId, date = new Date()) {
+    const calendar = exchangeCalendars[exchangeId];
+    if (!calendar) return true;
+    const year = getZonedParts(date, calendar.timeZone).date.slice(0, 4);
+    return calendar.holidays.some(day => day.startsWith(year));
+}
+
+// 'pre' | 'open' | 'post' | 'closed' for an exchange at `date`
+function getMarketSession(exchangeId, date = new Date()) {
+    const calendar = exchangeCalendars[exchangeId];
+    if (!calendar) return 'open';
+
+    const local = getZonedParts(date, calendar.timeZone);
+    const year = local.date.slice(0, 4);
+    if (!calendarWarnings.has(`${exchangeId}|${year}`) && !hasHolidayCalendar(exchangeId, date)) {
+        calendarWarnings.add(`${exchangeId}|${year}`);
+        console.warn(`No ${calendar.name} holiday calendar for ${year}; holidays will show as trading days`);
+    }
+    if (local.weekday === 'Sat' || local.weekday === 'Sun') return 'closed';
+    if (calendar.holidays.includes(local.date)) return 'closed';
+
+    const earlyClose = calendar.earlyCloses[local.date];
+    const regularEnd = earlyClose ? toMinutes(earlyClose) : toMinutes(calendar.regular[1]);
+    const postEnd = earlyClose ? regularEnd + 4 * 60 : toMinutes(calendar.post[1]);
+
+    const now = local.minutes;
+    if (now >= toMinutes(calendar.regular[0]) && now < regularEnd) return 'open';
+    if (now >= toMinutes(calendar.pre[0]) && now < toMinutes(calendar.pre[1])) return 'pre';
+    if (now >= (earlyClose ? regularEnd : toMinutes(calendar.post[0])) && now < postEnd) return 'post';
+    return 'closed';
+}
+
+function getSymbolSession(symbol, date = new Date()) {
+    const exchangeId = getSymbolExchange(symbol);
+    return exchangeId ? getMarketSession(exchangeId, date) : 'open';
+}
+
+// Dashboard polling: refresh active markets every tick, closed ones occasionally
+function shouldRefreshCard(card) {
+    if (getSymbolSession(card.symbol) !== 'closed') return true;
+    return !card.lastRefreshed || Date.now() - card.lastRefreshed >= CLOSED_MARKET_REFRESH_MS;
+}
+
+function isAnyMarketActive() {
+    return Object.keys(exchangeCalendars).some(id => getMarketSession(id) !== 'closed');
+}
+
+// Session Badges
+function renderSessionBadge(container, symbol) {
+    if (!container) return;
+    let badge = container.querySelector('.session-badge');
+    if (!badge) {
+        badge = document.createElement('span');
+        container.appendChild(badge);
+    }
+    const session = getSymbolSession(symbol);
+    const exchangeId = getSymbolExchange(symbol);
+    const unknownCalendar = Boolean(exchangeId) && !hasHolidayCalendar(exchangeId);
+    badge.className = `session-badge session-${session}`;
+    badge.textContent = unknownCalendar ? `${sessionLabels[session]}?` : sessionLabels[session];
+    badge.title = unknownCalendar ? t('session.unknownCalendar') : '';
+}
+
+function updateSessionBadges() {
+    cards.forEach(card => {
+        const priceEl = document.getElementById(`${card.id}-price`);
+        if (priceEl) renderSessionBadge(priceEl.closest('.card').querySelector('.symbol-info'), card.symbol);
+    });
+    if (currentSearchSymbol) {
+        renderSessionBadge(document.querySelector('#search-result-section .symbol-info'), currentSearchSymbol);
+    }
+}
+
+// Header Status
+function updateMarketStatus() {
+    const sessions = Object.keys(exchangeCalendars).map(id => ({ id, session: getMarketSession(id) }));
+    const active = sessions.some(item => item.session !== 'closed');
+
+    const dot = document.querySelector('.market-status .status-dot');
+    dot.classList.toggle('live', active);
+    document.querySelector('.market-status').classList.toggle('closed', !active);
+    document.querySelector('.market-status .status-text').textContent = sessions
+        .map(item => `${exchangeCalendars[item.id].label} ${sessionLabels[item.session]}`)
+        .join(' · ');
+
+    updateSessionBadges();
+}
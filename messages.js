@@ -0,0 +1,612 @@
+// Message Catalog
+// UI text by language, looked up with t('key', params) (i18n.js). Keys are grouped
+// by feature; {name} placeholders are filled from params. A key missing from 'en'
+// falls back to the Korean text.
+const messages = {
+    ko: {
+        'app.title': '스마트 주식 투자 도우미',
+
+        'header.live': '실시간',
+
+        'language.switch': 'English',
+        'language.switchTitle': '영어로 보기',
+
+        'common.loading': '불러오는 중...',
+        'common.delete': '삭제',
+        'common.add': '추가',
+        'common.clear': '지우기',
+        'common.quantity': '수량',
+        'common.price': '가격',
+        'common.symbolPlaceholder': '종목 (예: 005930, AAPL)',
+
+        'side.buy': '매수',
+        'side.sell': '매도',
+
+        'time.local': '내 시간',
+        'time.exchange': '거래소 시간',
+        'time.showExchange': '거래소 시간대로 보기',
+        'time.showLocal': '내 시간대로 보기',
+
+        'market.kr': '한국',
+        'market.us': '미국',
+
+        'session.pre': '장전',
+        'session.open': '장중',
+        'session.post': '장후',
+        'session.closed': '휴장',
+        'session.unknownCalendar': '올해 휴장일 정보가 없어 휴장일도 개장일로 표시될 수 있습니다.',
+
+        'exchange.us': '미국',
+        'exchange.kospi': '코스피',
+        'exchange.kosdaq': '코스닥',
+
+        'search.button': '검색',
+        'search.searching': '검색 중...',
+        'search.noData': '데이터를 찾을 수 없습니다.',
+        'search.notFound': '종목을 찾을 수 없거나 데이터를 불러올 수 없습니다. 코드를 확인해주세요.',
+        'search.placeholder': '종목 코드 또는 종목명 입력',
+        'search.addToWatchlist': '+ 관심종목',
+
+        'card.loading': '로딩 중...',
+        'card.loadFailed': '불러오기 실패',
+        'card.remove': '카드 삭제',
+
+        'chart.bars': '{count}봉',
+        'chart.measure': '측정',
+        'chart.measureTitle': '드래그로 구간 측정 (Shift+드래그도 가능)',
+        'chart.zoomReset': '초기화',
+        'chart.zoomResetTitle': '확대/이동 초기화',
+        'chart.line': '라인',
+        'chart.candle': '캔들',
+        'chart.volume': '거래량',
+        'chart.events': '이벤트',
+        'chart.dividend': '배당',
+        'chart.split': '분할',
+
+        'range.1d': '1일',
+        'range.5d': '1주',
+        'range.1mo': '1달',
+        'range.3mo': '3달',
+        'range.6mo': '6달',
+        'range.ytd': '올해 (YTD)',
+        'range.1y': '1년',
+        'range.2y': '2년',
+        'range.5y': '5년',
+        'range.10y': '10년',
+        'range.max': '최대',
+        'range.menu': '기간',
+        'range.custom': '직접 입력',
+        'range.interval': '봉 간격',
+        'range.apply': '적용',
+        'range.error.unknownRange': '알 수 없는 기간입니다.',
+        'range.error.unknownInterval': '알 수 없는 봉 간격입니다.',
+        'range.error.lookback': '{interval}봉은 최근 {days}일 이내 구간만 조회할 수 있습니다.',
+        'range.error.maxSpan': '{interval}봉은 한 번에 최대 {days}일까지 조회할 수 있습니다.',
+        'range.error.tooShort': '선택한 기간이 봉 간격보다 짧습니다. 더 짧은 간격을 선택하세요.',
+        'range.error.missingDates': '시작일과 종료일을 입력하세요.',
+        'range.error.startAfterEnd': '시작일이 종료일보다 앞서야 합니다.',
+        'range.error.futureEnd': '종료일은 오늘 이후일 수 없습니다.',
+        'range.error.noInterval': '이 기간에 사용할 수 있는 봉 간격이 없습니다.',
+
+        'interval.1m': '1분',
+        'interval.2m': '2분',
+        'interval.5m': '5분',
+        'interval.15m': '15분',
+        'interval.30m': '30분',
+        'interval.60m': '60분',
+        'interval.90m': '90분',
+        'interval.1d': '일',
+        'interval.5d': '5일',
+        'interval.1wk': '주',
+        'interval.1mo': '월',
+        'interval.3mo': '분기',
+
+        'indicator.menu': '지표',
+        'indicator.sma': '이동평균',
+        'indicator.ema': 'EMA',
+        'indicator.bb': '볼린저 밴드',
+        'indicator.rsi': 'RSI',
+        'indicator.macd': 'MACD',
+        'indicator.param.period': '기간',
+        'indicator.param.multiplier': '배수',
+        'indicator.param.fast': '단기',
+        'indicator.param.slow': '장기',
+        'indicator.param.signal': '시그널',
+        'indicator.bbUpper': 'BB 상단',
+        'indicator.bbLower': 'BB 하단',
+        'indicator.bbMiddle': 'BB 중심',
+        'indicator.histogram': '히스토그램',
+
+        'compare.placeholder': '비교 종목 추가 (예: ^KS11, AAPL)',
+        'compare.button': '비교',
+
+        'export.menu': '내보내기',
+        'export.png': 'PNG 이미지',
+        'export.noData': '내보낼 차트 데이터가 없습니다.',
+
+        'cache.staleAsOf': '{time} 기준 (오프라인)',
+
+        'stream.connecting': '스트리밍 연결 중',
+        'stream.live': '스트리밍',
+        'stream.retrying': '재연결 중',
+        'stream.fallback': '1분 갱신',
+
+        'layout.card.kospi': '코스피',
+        'layout.card.kosdaq': '코스닥',
+        'layout.card.nasdaq': '나스닥',
+        'layout.region.kr': '대한민국',
+        'layout.region.us': '미국',
+        'layout.drag': '끌어서 순서 변경',
+        'layout.moveEarlier': '앞으로',
+        'layout.moveLater': '뒤로',
+        'layout.size': '크기',
+        'layout.defaults': '기본',
+        'layout.defaultRange': '기본 기간',
+        'layout.defaultInterval': '기본 봉 간격',
+        'layout.defaultType': '기본 차트',
+        'layout.edit': '레이아웃 편집',
+        'layout.done': '편집 완료',
+        'layout.addPlaceholder': '종목 추가 (예: 005930, AAPL)',
+        'layout.importJson': 'JSON 가져오기',
+        'layout.exportJson': 'JSON 내보내기',
+        'layout.reset': '기본값',
+        'layout.importError': '레이아웃 파일을 읽을 수 없습니다.',
+        'layout.imported': '레이아웃을 불러왔습니다 (카드 {count}개).',
+        'layout.resetConfirm': '대시보드를 기본 레이아웃으로 되돌릴까요? 추가한 카드와 설정이 모두 사라집니다.',
+
+        'fundamentals.title': '기업 정보',
+        'fundamentals.marketCap': '시가총액',
+        'fundamentals.per': 'PER',
+        'fundamentals.multiple': '{value}배',
+        'fundamentals.eps': 'EPS',
+        'fundamentals.dividendYield': '배당수익률',
+        'fundamentals.high52': '52주 최고',
+        'fundamentals.low52': '52주 최저',
+        'fundamentals.avgVolume': '평균 거래량',
+        'fundamentals.sector': '섹터',
+        'fundamentals.industry': '산업',
+        'fundamentals.nextEarnings': '다음 실적 발표',
+        'fundamentals.error': '기업 정보를 불러올 수 없습니다.',
+        'fundamentals.missingNote': '— 표시는 데이터 제공처에서 제공하지 않는 항목입니다.',
+        'fundamentals.loading': '기업 정보를 불러오는 중...',
+
+        'heatmap.universe.kospi': 'KOSPI 대형주',
+        'heatmap.universe.kosdaq': 'KOSDAQ 대형주',
+        'heatmap.universe.nasdaq': '나스닥 대형주',
+        'heatmap.universe.usSectors': 'S&P 500 섹터 ETF',
+        'heatmap.sector.XLK': '기술',
+        'heatmap.sector.XLF': '금융',
+        'heatmap.sector.XLV': '헬스케어',
+        'heatmap.sector.XLY': '경기소비재',
+        'heatmap.sector.XLC': '커뮤니케이션',
+        'heatmap.sector.XLI': '산업재',
+        'heatmap.sector.XLP': '필수소비재',
+        'heatmap.sector.XLE': '에너지',
+        'heatmap.sector.XLU': '유틸리티',
+        'heatmap.sector.XLRE': '부동산',
+        'heatmap.sector.XLB': '소재',
+        'heatmap.noData': '데이터를 불러올 수 없습니다.',
+        'heatmap.breadth': '상승 {advancers} · 하락 {decliners} · 보합 {unchanged}',
+        'heatmap.missing': '{count}개 종목 데이터 없음',
+        'heatmap.title': '시장 히트맵',
+        'heatmap.topGainers': '상승 상위',
+        'heatmap.topLosers': '하락 상위',
+
+        'portfolio.title': '내 포트폴리오',
+        'portfolio.importCsv': 'CSV 가져오기',
+        'portfolio.exportCsv': 'CSV 내보내기',
+        'portfolio.incomplete': '{count}개 종목 시세 없음 (합계 제외)',
+        'portfolio.empty': '보유 종목을 추가해 주세요.',
+
+        'table.symbol': '종목',
+        'table.name': '이름',
+        'table.quantity': '수량',
+        'table.avgCost': '평균 단가',
+        'table.price': '현재가',
+        'table.value': '평가금액',
+        'table.dayChange': '일간 변동',
+        'table.pnl': '평가손익',
+        'table.weight': '비중',
+        'table.buyDate': '매수일',
+        'table.orderTime': '주문 시각',
+        'table.side': '구분',
+        'table.type': '유형',
+        'table.orderPrice': '가격',
+        'table.fillTime': '체결 시각',
+        'table.fillPrice': '체결가',
+        'table.realized': '실현손익',
+
+        'paper.ticketTitle': '모의 주문',
+        'paper.type.market': '시장가',
+        'paper.type.limit': '지정가',
+        'paper.type.stop': '스탑',
+        'paper.submit': '주문',
+        'paper.error.notTradable': '지수와 환율은 주문할 수 없습니다.',
+        'paper.error.currency': '원화·달러 종목만 주문할 수 있습니다.',
+        'paper.error.quantity': '수량은 1주 이상 정수로 입력하세요.',
+        'paper.error.price': '주문 가격을 입력하세요.',
+        'paper.error.tick': '호가 단위({tick})에 맞지 않습니다. 예: {example}',
+        'paper.error.cash': '주문 가능 현금이 부족합니다.',
+        'paper.error.shares': '매도 가능 수량이 부족합니다.',
+        'paper.error.noQuote': '현재가를 불러올 수 없어 주문할 수 없습니다.',
+        'paper.rejected.cash': '현금이 부족해 주문이 거부되었습니다.',
+        'paper.rejected.shares': '보유 수량이 부족해 주문이 거부되었습니다.',
+        'paper.status.rejected': '거부',
+        'paper.filled': '{name} {quantity}주 {side} 체결 @ {price}',
+        'paper.queued': '장 마감 중이라 {type} 주문이 대기열에 추가되었습니다.',
+        'paper.resetConfirm': '모의 투자 계좌를 초기화할까요? 보유 종목, 대기 주문과 거래 내역이 모두 삭제됩니다.',
+        'paper.info.price': '현재가 {value}',
+        'paper.info.tick': '호가 단위 {value}',
+        'paper.info.cash': '주문 가능 {value}',
+        'paper.info.shares': '매도 가능 {value}주',
+        'paper.info.closed': '장 마감: 다음 정규장에 체결',
+        'paper.cancelOrder': '주문 취소',
+        'paper.title': '모의 투자',
+        'paper.subtitle': '가상 자금 · 정규장 시세로 체결',
+        'paper.reset': '초기화',
+        'paper.cashKrw': '현금 (원화)',
+        'paper.cashUsd': '현금 (달러)',
+        'paper.realizedKrw': '실현손익 (원화)',
+        'paper.realizedUsd': '실현손익 (달러)',
+        'paper.positions': '보유 종목',
+        'paper.orders': '대기 주문',
+        'paper.trades': '거래 내역',
+        'paper.positionsEmpty': '검색 결과의 모의 주문으로 종목을 매수해 보세요.',
+        'paper.ordersEmpty': '대기 중인 주문이 없습니다.',
+        'paper.tradesEmpty': '거래 내역이 없습니다.',
+
+        'backtest.title': '전략 백테스트',
+        'backtest.strategy.maCross': '이동평균 교차',
+        'backtest.strategy.rsiOption': 'RSI 과매도/과매수',
+        'backtest.strategy.buyHold': '매수 후 보유',
+        'backtest.fast': '단기',
+        'backtest.slow': '장기',
+        'backtest.period': '기간',
+        'backtest.buyBelow': '매수 <',
+        'backtest.sellAbove': '매도 >',
+        'backtest.commission': '수수료(%)',
+        'backtest.slippage': '슬리피지(%)',
+        'backtest.run': '실행',
+        'backtest.unavailable': '백테스트를 실행할 수 없습니다.',
+        'backtest.error.maPeriod': '이동평균 기간은 1 이상의 정수로 입력하세요.',
+        'backtest.error.maOrder': '단기 기간은 장기 기간보다 짧아야 합니다.',
+        'backtest.error.rsiPeriod': 'RSI 기간은 2 이상의 정수로 입력하세요.',
+        'backtest.error.rsiLevels': 'RSI 기준은 0 < 매수 < 매도 < 100 이어야 합니다.',
+        'backtest.error.costs': '수수료와 슬리피지는 0~10% 사이로 입력하세요.',
+        'backtest.error.compareMode': '비교 모드에서는 백테스트를 실행할 수 없습니다.',
+        'backtest.error.tooFewBars': '봉 개수가 부족합니다. 더 긴 기간이나 짧은 봉 간격을 선택하세요.',
+        'backtest.running': '계산 중...',
+        'backtest.failed': '백테스트 실패: {error}',
+        'backtest.tradeCount': '{count}회',
+        'backtest.metric.totalReturn': '총 수익률',
+        'backtest.metric.maxDrawdown': '최대 낙폭',
+        'backtest.metric.sharpe': '샤프 지수',
+        'backtest.metric.tradeCount': '거래 횟수',
+        'backtest.metric.finalEquity': '최종 자산 (시작 100)',
+        'backtest.benchmark': '보유 {value}',
+
+        'alerts.title': '가격 알림',
+        'alerts.subtitle': '1분마다 확인',
+        'alerts.type.above': '가격 이상',
+        'alerts.type.below': '가격 이하',
+        'alerts.type.change': '등락률 초과(±%)',
+        'alerts.type.maCross': '이동평균 돌파',
+        'alerts.value.price': '가격',
+        'alerts.value.period': '기간 (일)',
+        'alerts.add': '알림 추가',
+        'alerts.rules': '알림 규칙',
+        'alerts.rulesEmpty': '등록된 알림이 없습니다.',
+        'alerts.history': '알림 기록',
+        'alerts.notificationTitle': '주가 알림',
+        'alerts.message.above': '{symbol} 가격 {price} ≥ {value}',
+        'alerts.message.below': '{symbol} 가격 {price} ≤ {value}',
+        'alerts.message.change': '{symbol} 등락률 {percent}% (기준 ±{value}%)',
+        'alerts.message.crossAbove': '{symbol} 가격 {price}이(가) MA({period}) {ma}을(를) 상향 돌파',
+        'alerts.message.crossBelow': '{symbol} 가격 {price}이(가) MA({period}) {ma}을(를) 하향 돌파',
+
+        'footer.disclaimer': '시장 데이터는 시연용 시뮬레이션 데이터입니다.'
+    },
+    en: {
+        'app.title': 'Smart Stock Investment Helper',
+
+        'header.live': 'Live',
+
+        'language.switch': '한국어',
+        'language.switchTitle': 'View in Korean',
+
+        'common.loading': 'Loading...',
+        'common.delete': 'Delete',
+        'common.add': 'Add',
+        'common.clear': 'Clear',
+        'common.quantity': 'Quantity',
+        'common.price': 'Price',
+        'common.symbolPlaceholder': 'Symbol (e.g. 005930, AAPL)',
+
+        'side.buy': 'Buy',
+        'side.sell': 'Sell',
+
+        'time.local': 'My time',
+        'time.exchange': 'Exchange time',
+        'time.showExchange': 'Show exchange time',
+        'time.showLocal': 'Show my time zone',
+
+        'market.kr': 'Korea',
+        'market.us': 'US',
+
+        'session.pre': 'Pre',
+        'session.open': 'Open',
+        'session.post': 'After',
+        'session.closed': 'Closed',
+        'session.unknownCalendar': 'No holiday calendar for this year; holidays may show as trading days.',
+
+        'exchange.us': 'US',
+        'exchange.kospi': 'KOSPI',
+        'exchange.kosdaq': 'KOSDAQ',
+
+        'search.button': 'Search',
+        'search.searching': 'Searching...',
+        'search.noData': 'No data found.',
+        'search.notFound': 'Couldn\'t find the symbol or load its data. Please check the code.',
+        'search.placeholder': 'Enter a ticker or company name',
+        'search.addToWatchlist': '+ Watchlist',
+
+        'card.loading': 'Loading...',
+        'card.loadFailed': 'Failed to load',
+        'card.remove': 'Remove card',
+
+        'chart.bars': '{count} bars',
+        'chart.measure': 'Measure',
+        'chart.measureTitle': 'Drag to measure a span (Shift+drag also works)',
+        'chart.zoomReset': 'Reset',
+        'chart.zoomResetTitle': 'Reset zoom and pan',
+        'chart.line': 'Line',
+        'chart.candle': 'Candle',
+        'chart.volume': 'Volume',
+        'chart.events': 'Events',
+        'chart.dividend': 'Dividend',
+        'chart.split': 'Split',
+
+        'range.1d': '1D',
+        'range.5d': '1W',
+        'range.1mo': '1M',
+        'range.3mo': '3M',
+        'range.6mo': '6M',
+        'range.ytd': 'YTD',
+        'range.1y': '1Y',
+        'range.2y': '2Y',
+        'range.5y': '5Y',
+        'range.10y': '10Y',
+        'range.max': 'Max',
+        'range.menu': 'Range',
+        'range.custom': 'Custom',
+        'range.interval': 'Interval',
+        'range.apply': 'Apply',
+        'range.error.unknownRange': 'Unknown range.',
+        'range.error.unknownInterval': 'Unknown interval.',
+        'range.error.lookback': '{interval} bars are only available for the last {days} days.',
+        'range.error.maxSpan': '{interval} bars can cover at most {days} days at a time.',
+        'range.error.tooShort': 'The range is too short for this interval. Choose a shorter interval.',
+        'range.error.missingDates': 'Enter a start and end date.',
+        'range.error.startAfterEnd': 'The start date must be before the end date.',
+        'range.error.futureEnd': 'The end date can\'t be in the future.',
+        'range.error.noInterval': 'No interval is available for this range.',
+
+        'interval.1m': '1m',
+        'interval.2m': '2m',
+        'interval.5m': '5m',
+        'interval.15m': '15m',
+        'interval.30m': '30m',
+        'interval.60m': '60m',
+        'interval.90m': '90m',
+        'interval.1d': 'Daily',
+        'interval.5d': '5-day',
+        'interval.1wk': 'Weekly',
+        'interval.1mo': 'Monthly',
+        'interval.3mo': 'Quarterly',
+
+        'indicator.menu': 'Indicators',
+        'indicator.sma': 'Moving average',
+        'indicator.ema': 'EMA',
+        'indicator.bb': 'Bollinger Bands',
+        'indicator.rsi': 'RSI',
+        'indicator.macd': 'MACD',
+        'indicator.param.period': 'Period',
+        'indicator.param.multiplier': 'Multiplier',
+        'indicator.param.fast': 'Fast',
+        'indicator.param.slow': 'Slow',
+        'indicator.param.signal': 'Signal',
+        'indicator.bbUpper': 'BB upper',
+        'indicator.bbLower': 'BB lower',
+        'indicator.bbMiddle': 'BB middle',
+        'indicator.histogram': 'Histogram',
+
+        'compare.placeholder': 'Add a comparison (e.g. ^KS11, AAPL)',
+        'compare.button': 'Compare',
+
+        'export.menu': 'Export',
+        'export.png': 'PNG image',
+        'export.noData': 'There is no chart data to export.',
+
+        'cache.staleAsOf': 'As of {time} (offline)',
+
+        'stream.connecting': 'Connecting stream',
+        'stream.live': 'Streaming',
+        'stream.retrying': 'Reconnecting',
+        'stream.fallback': '1-min refresh',
+
+        'layout.card.kospi': 'KOSPI',
+        'layout.card.kosdaq': 'KOSDAQ',
+        'layout.card.nasdaq': 'NASDAQ',
+        'layout.region.kr': 'South Korea',
+        'layout.region.us': 'United States',
+        'layout.drag': 'Drag to reorder',
+        'layout.moveEarlier': 'Move earlier',
+        'layout.moveLater': 'Move later',
+        'layout.size': 'Size',
+        'layout.defaults': 'Defaults',
+        'layout.defaultRange': 'Default range',
+        'layout.defaultInterval': 'Default interval',
+        'layout.defaultType': 'Default chart',
+        'layout.edit': 'Edit layout',
+        'layout.done': 'Done',
+        'layout.addPlaceholder': 'Add symbol (e.g. 005930, AAPL)',
+        'layout.importJson': 'Import JSON',
+        'layout.exportJson': 'Export JSON',
+        'layout.reset': 'Defaults',
+        'layout.importError': 'Couldn\'t read the layout file.',
+        'layout.imported': 'Layout imported ({count} cards).',
+        'layout.resetConfirm': 'Restore the default dashboard layout? Added cards and settings will be lost.',
+
+        'fundamentals.title': 'Company info',
+        'fundamentals.marketCap': 'Market cap',
+        'fundamentals.per': 'P/E',
+        'fundamentals.multiple': '{value}x',
+        'fundamentals.eps': 'EPS',
+        'fundamentals.dividendYield': 'Dividend yield',
+        'fundamentals.high52': '52-week high',
+        'fundamentals.low52': '52-week low',
+        'fundamentals.avgVolume': 'Avg. volume',
+        'fundamentals.sector': 'Sector',
+        'fundamentals.industry': 'Industry',
+        'fundamentals.nextEarnings': 'Next earnings',
+        'fundamentals.error': 'Couldn\'t load company info.',
+        'fundamentals.missingNote': '— marks fields the data provider doesn\'t supply.',
+        'fundamentals.loading': 'Loading company info...',
+
+        'heatmap.universe.kospi': 'KOSPI large caps',
+        'heatmap.universe.kosdaq': 'KOSDAQ large caps',
+        'heatmap.universe.nasdaq': 'NASDAQ large caps',
+        'heatmap.universe.usSectors': 'S&P 500 sector ETFs',
+        'heatmap.sector.XLK': 'Technology',
+        'heatmap.sector.XLF': 'Financials',
+        'heatmap.sector.XLV': 'Health Care',
+        'heatmap.sector.XLY': 'Consumer Discretionary',
+        'heatmap.sector.XLC': 'Communication Services',
+        'heatmap.sector.XLI': 'Industrials',
+        'heatmap.sector.XLP': 'Consumer Staples',
+        'heatmap.sector.XLE': 'Energy',
+        'heatmap.sector.XLU': 'Utilities',
+        'heatmap.sector.XLRE': 'Real Estate',
+        'heatmap.sector.XLB': 'Materials',
+        'heatmap.noData': 'Couldn\'t load the data.',
+        'heatmap.breadth': 'Up {advancers} · Down {decliners} · Flat {unchanged}',
+        'heatmap.missing': 'No data for {count} symbols',
+        'heatmap.title': 'Market Heatmap',
+        'heatmap.topGainers': 'Top Gainers',
+        'heatmap.topLosers': 'Top Losers',
+
+        'portfolio.title': 'My Portfolio',
+        'portfolio.importCsv': 'Import CSV',
+        'portfolio.exportCsv': 'Export CSV',
+        'portfolio.incomplete': 'No quote for {count} holding(s) (excluded from totals)',
+        'portfolio.empty': 'Add a holding to get started.',
+
+        'table.symbol': 'Symbol',
+        'table.name': 'Name',
+        'table.quantity': 'Qty',
+        'table.avgCost': 'Avg Cost',
+        'table.price': 'Price',
+        'table.value': 'Market Value',
+        'table.dayChange': 'Day Change',
+        'table.pnl': 'Unrealized P&L',
+        'table.weight': 'Weight',
+        'table.buyDate': 'Buy Date',
+        'table.orderTime': 'Order Time',
+        'table.side': 'Side',
+        'table.type': 'Type',
+        'table.orderPrice': 'Price',
+        'table.fillTime': 'Fill Time',
+        'table.fillPrice': 'Fill Price',
+        'table.realized': 'Realized P&L',
+
+        'paper.ticketTitle': 'Paper order',
+        'paper.type.market': 'Market',
+        'paper.type.limit': 'Limit',
+        'paper.type.stop': 'Stop',
+        'paper.submit': 'Place order',
+        'paper.error.notTradable': 'Indices and FX rates can\'t be traded.',
+        'paper.error.currency': 'Only KRW and USD symbols can be traded.',
+        'paper.error.quantity': 'Enter a whole number of shares (at least 1).',
+        'paper.error.price': 'Enter an order price.',
+        'paper.error.tick': 'The price isn\'t on the tick size ({tick}). For example: {example}',
+        'paper.error.cash': 'Not enough cash for this order.',
+        'paper.error.shares': 'Not enough shares to sell.',
+        'paper.error.noQuote': 'Couldn\'t load the current price, so the order can\'t be placed.',
+        'paper.rejected.cash': 'Order rejected: not enough cash.',
+        'paper.rejected.shares': 'Order rejected: not enough shares.',
+        'paper.status.rejected': 'Rejected',
+        'paper.filled': '{side} {quantity} {name} filled @ {price}',
+        'paper.queued': 'The market is closed, so the {type} order was queued.',
+        'paper.resetConfirm': 'Reset the paper trading account? All positions, open orders and trade history will be deleted.',
+        'paper.info.price': 'Price {value}',
+        'paper.info.tick': 'Tick {value}',
+        'paper.info.cash': 'Buying power {value}',
+        'paper.info.shares': 'Sellable {value} shares',
+        'paper.info.closed': 'Market closed: fills at the next regular session',
+        'paper.cancelOrder': 'Cancel order',
+        'paper.title': 'Paper Trading',
+        'paper.subtitle': 'Virtual funds · Filled at regular-session prices',
+        'paper.reset': 'Reset',
+        'paper.cashKrw': 'Cash (KRW)',
+        'paper.cashUsd': 'Cash (USD)',
+        'paper.realizedKrw': 'Realized P&L (KRW)',
+        'paper.realizedUsd': 'Realized P&L (USD)',
+        'paper.positions': 'Positions',
+        'paper.orders': 'Open Orders',
+        'paper.trades': 'Trade History',
+        'paper.positionsEmpty': 'Buy a stock from the order ticket on a search result.',
+        'paper.ordersEmpty': 'No open orders.',
+        'paper.tradesEmpty': 'No trades yet.',
+
+        'backtest.title': 'Strategy backtest',
+        'backtest.strategy.maCross': 'MA crossover',
+        'backtest.strategy.rsiOption': 'RSI oversold/overbought',
+        'backtest.strategy.buyHold': 'Buy and hold',
+        'backtest.fast': 'Fast',
+        'backtest.slow': 'Slow',
+        'backtest.period': 'Period',
+        'backtest.buyBelow': 'Buy <',
+        'backtest.sellAbove': 'Sell >',
+        'backtest.commission': 'Commission (%)',
+        'backtest.slippage': 'Slippage (%)',
+        'backtest.run': 'Run',
+        'backtest.unavailable': 'The backtest can\'t run.',
+        'backtest.error.maPeriod': 'Moving average periods must be whole numbers of 1 or more.',
+        'backtest.error.maOrder': 'The fast period must be shorter than the slow period.',
+        'backtest.error.rsiPeriod': 'The RSI period must be a whole number of 2 or more.',
+        'backtest.error.rsiLevels': 'RSI levels must satisfy 0 < buy < sell < 100.',
+        'backtest.error.costs': 'Commission and slippage must be between 0 and 10%.',
+        'backtest.error.compareMode': 'Backtests can\'t run in compare mode.',
+        'backtest.error.tooFewBars': 'Not enough bars. Choose a longer range or a shorter interval.',
+        'backtest.running': 'Running...',
+        'backtest.failed': 'Backtest failed: {error}',
+        'backtest.tradeCount': '{count}',
+        'backtest.metric.totalReturn': 'Total return',
+        'backtest.metric.maxDrawdown': 'Max drawdown',
+        'backtest.metric.sharpe': 'Sharpe ratio',
+        'backtest.metric.tradeCount': 'Trades',
+        'backtest.metric.finalEquity': 'Final equity (start 100)',
+        'backtest.benchmark': 'Hold {value}',
+
+        'alerts.title': 'Price alerts',
+        'alerts.subtitle': 'Checked every minute',
+        'alerts.type.above': 'Price at or above',
+        'alerts.type.below': 'Price at or below',
+        'alerts.type.change': 'Change beyond (±%)',
+        'alerts.type.maCross': 'Moving average cross',
+        'alerts.value.price': 'Price',
+        'alerts.value.period': 'Period (days)',
+        'alerts.add': 'Add alert',
+        'alerts.rules': 'Rules',
+        'alerts.rulesEmpty': 'No alerts yet.',
+        'alerts.history': 'History',
+        'alerts.notificationTitle': 'Stock alert',
+        'alerts.message.above': '{symbol} price {price} ≥ {value}',
+        'alerts.message.below': '{symbol} price {price} ≤ {value}',
+        'alerts.message.change': '{symbol} changed {percent}% (threshold ±{value}%)',
+        'alerts.message.crossAbove': '{symbol} price {price} crossed above MA({period}) {ma}',
+        'alerts.message.crossBelow': '{symbol} price {price} crossed below MA({period}) {ma}',
+
+        'footer.disclaimer': 'Market data is simulated for demonstration purposes.'
+    }
+};
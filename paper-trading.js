@@ -0,0 +1,442 @@
+// Paper Trading
+// A virtual KRW/USD account for practice. Orders are placed from the ticket under
+// the search chart and filled against the same 1d quotes the dashboard polls
+// (fetchWithCache -> fetchStockData), only during regular trading hours. Limit and
+// stop prices must sit on the exchange's tick size; quantities are whole shares
+// (KRX and US regular sessions both trade in single shares). Buy orders that can
+// fill above their reference price (market, stop) reserve cash with a margin; an
+// order that still can't be covered at fill time is rejected and kept in the
+// trade history. The account (cash, positions, open orders, trades) is stored locally.
+const PAPER_STORAGE_KEY = 'paperTrading';
+const PAPER_INITIAL_CASH = { KRW: 100000000, USD: 100000 };
+const PAPER_MAX_TRADES = 500; // Oldest trades are dropped beyond this
+const PAPER_BUY_RESERVE_MARGIN = 0.1; // Extra cash held for market/stop buys (fills can gap up)
+
+const paperOrderTypeLabels = { market: t('paper.type.market'), limit: t('paper.type.limit'), stop: t('paper.type.stop') };
+const paperSideLabels = { buy: t('side.buy'), sell: t('side.sell') };
+
+// KRX tick sizes (KOSPI/KOSDAQ, since 2023): [price below, tick]
+const krxTickSizes = [
+    [2000, 1],
+    [5000, 5],
+    [20000, 10],
+    [50000, 50],
+    [200000, 100],
+    [500000, 500],
+    [Infinity, 1000]
+];
+
+let paperAccount = loadPaperAccount();
+const paperQuotes = {}; // symbol -> latest 1d data
+
+function createPaperAccount() {
+    return { cash: { ...PAPER_INITIAL_CASH }, positions: {}, orders: [], trades: [] };
+}
+
+function loadPaperAccount() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PAPER_STORAGE_KEY));
+        return saved ? { ...createPaperAccount(), ...saved } : createPaperAccount();
+    } catch (error) {
+        console.error('Error loading paper account:', error);
+        return createPaperAccount();
+    }
+}
+
+function savePaperAccount() {
+    localStorage.setItem(PAPER_STORAGE_KEY, JSON.stringify(paperAccount));
+}
+
+// Exchange Rules
+function getTickSize(symbol, price) {
+    if (getSymbolExchange(symbol) === 'KRX') {
+        return krxTickSizes.find(([below]) => price < below)[1];
+    }
+    return price >= 1 ? 0.01 : 0.0001;
+}
+
+function isOnTick(price, tick) {
+    return Math.abs(price / tick - Math.round(price / tick)) < 1e-6;
+}
+
+function roundToTick(price, tick) {
+    return Number((Math.round(price / tick) * tick).toFixed(4));
+}
+
+// Cash amounts kept in the currency's smallest unit
+function roundCash(value, currency) {
+    return currency === 'KRW' ? Math.round(value) : Math.round(value * 100) / 100;
+}
+
+function isTradableSymbol(symbol) {
+    return Boolean(symbol) && !symbol.startsWith('^') && !symbol.endsWith('=X');
+}
+
+async function getPaperQuote(symbol) {
+    const data = await fetchWithCache(symbol, '1d', '5m');
+    if (data) paperQuotes[symbol] = data;
+    return data;
+}
+
+// Cash a buy order holds: the limit price caps a limit buy's fill, while market
+// and stop buys fill at whatever the quote is and get a margin
+function getReservedCash(order) {
+    if (order.type === 'limit') return order.quantity * order.price;
+    return order.quantity * (order.price || order.referencePrice) * (1 + PAPER_BUY_RESERVE_MARGIN);
+}
+
+// Cash not yet committed to open buy orders
+function getAvailableCash(currency) {
+    const reserved = paperAccount.orders
+        .filter(o => o.side === 'buy' && o.currency === currency)
+        .reduce((sum, o) => sum + getReservedCash(o), 0);
+    return paperAccount.cash[currency] - reserved;
+}
+
+// Shares not yet committed to open sell orders
+function getAvailableShares(symbol) {
+    const position = paperAccount.positions[symbol];
+    const reserved = paperAccount.orders
+        .filter(o => o.side === 'sell' && o.symbol === symbol)
+        .reduce((sum, o) => sum + o.quantity, 0);
+    return (position ? position.quantity : 0) - reserved;
+}
+
+// Validation on submit; returns an error message or null
+function validatePaperOrder(order) {
+    if (!isTradableSymbol(order.symbol)) return t('paper.error.notTradable');
+    if (!(order.currency in PAPER_INITIAL_CASH)) return t('paper.error.currency');
+
+    if (!Number.isInteger(order.quantity) || order.quantity < 1) return t('paper.error.quantity');
+
+    if (order.type !== 'market') {
+        if (!(order.price > 0)) return t('paper.error.price');
+        const tick = getTickSize(order.symbol, order.price);
+        if (!isOnTick(order.price, tick)) {
+            return t('paper.error.tick', { tick: formatMoney(tick, order.currency), example: formatMoney(roundToTick(order.price, tick), order.currency) });
+        }
+    }
+
+    if (order.side === 'buy') {
+        if (getReservedCash(order) > getAvailableCash(order.currency)) return t('paper.error.cash');
+    } else if (order.quantity > getAvailableShares(order.symbol)) {
+        return t('paper.error.shares');
+    }
+    return null;
+}
+
+// Buy limit: at or below the limit. Sell limit: at or above.
+// Buy stop: at or above the stop. Sell stop: at or below.
+function isOrderTriggered(order, price) {
+    if (order.type === 'market') return true;
+    if (order.type === 'limit') return order.side === 'buy' ? price <= order.price : price >= order.price;
+    return order.side === 'buy' ? price >= order.price : price <= order.price;
+}
+
+// Apply a fill to cash and positions (average cost). Returns the trade, or an
+// error message when cash/shares no longer cover the order.
+function fillPaperOrder(order, price) {
+    const amount = roundCash(order.quantity * price, order.currency);
+    const position = paperAccount.positions[order.symbol];
+    let realizedPnl = null;
+
+    if (order.side === 'buy') {
+        if (amount > paperAccount.cash[order.currency]) return t('paper.rejected.cash');
+        paperAccount.cash[order.currency] = roundCash(paperAccount.cash[order.currency] - amount, order.currency);
+        if (position) {
+            const quantity = position.quantity + order.quantity;
+            position.avgCost = (position.quantity * position.avgCost + order.quantity * price) / quantity;
+            position.quantity = quantity;
+        } else {
+            paperAccount.positions[order.symbol] = {
+                name: order.name,
+                quantity: order.quantity,
+                avgCost: price,
+                currency: order.currency
+            };
+        }
+    } else {
+        if (!position || position.quantity < order.quantity) return t('paper.rejected.shares');
+        realizedPnl = roundCash(order.quantity * (price - position.avgCost), order.currency);
+        paperAccount.cash[order.currency] = roundCash(paperAccount.cash[order.currency] + amount, order.currency);
+        position.quantity -= order.quantity;
+        if (position.quantity === 0) delete paperAccount.positions[order.symbol];
+    }
+
+    const trade = {
+        id: `${Date.now().toString(36)}-${order.id}`,
+        symbol: order.symbol,
+        name: order.name,
+        side: order.side,
+        type: order.type,
+        quantity: order.quantity,
+        price,
+        currency: order.currency,
+        realizedPnl,
+        time: Date.now()
+    };
+    addPaperTrade(trade);
+    return trade;
+}
+
+function addPaperTrade(trade) {
+    paperAccount.trades.unshift(trade);
+    paperAccount.trades.length = Math.min(paperAccount.trades.length, PAPER_MAX_TRADES);
+}
+
+// A triggered order that cash/shares no longer cover stays in the history as rejected
+function rejectPaperOrder(order, reason) {
+    addPaperTrade({
+        id: `${Date.now().toString(36)}-${order.id}`,
+        symbol: order.symbol,
+        name: order.name,
+        side: order.side,
+        type: order.type,
+        quantity: order.quantity,
+        price: null,
+        currency: order.currency,
+        realizedPnl: null,
+        status: 'rejected',
+        reason,
+        time: Date.now()
+    });
+}
+
+function describePaperFill(trade) {
+    return t('paper.filled', {
+        name: trade.name,
+        quantity: formatNumber(trade.quantity),
+        side: paperSideLabels[trade.side],
+        price: formatMoney(trade.price, trade.currency)
+    });
+}
+
+// Match open orders against fresh quotes. Called from updateDashboard and after
+// placing an order.
+async function processPaperOrders() {
+    const symbols = [...new Set(paperAccount.orders.map(o => o.symbol).concat(Object.keys(paperAccount.positions)))];
+    await Promise.all(symbols.map(getPaperQuote));
+
+    let changed = false;
+    paperAccount.orders.slice().forEach(order => {
+        const quote = paperQuotes[order.symbol];
+        if (!quote || quote.stale || getSymbolSession(order.symbol) !== 'open') return;
+        if (!isOrderTriggered(order, quote.currentPrice)) return;
+
+        const result = fillPaperOrder(order, quote.currentPrice);
+        paperAccount.orders = paperAccount.orders.filter(o => o.id !== order.id);
+        if (typeof result === 'string') rejectPaperOrder(order, result);
+        changed = true;
+        showToast(typeof result === 'string' ? `${order.name}: ${result}` : describePaperFill(result));
+    });
+
+    if (changed) savePaperAccount();
+    renderPaperAccount();
+    renderOrderTicketInfo();
+}
+
+async function submitPaperOrder(e) {
+    e.preventDefault();
+    const form = e.target;
+    const symbol = currentSearchSymbol;
+    if (!symbol) return;
+
+    // The reference price sizes the cash reserve, so refresh it (the cache keeps
+    // 1d quotes for a minute at most) and refuse a stale fallback copy
+    const quote = await getPaperQuote(symbol);
+    if (!quote || quote.stale) {
+        showToast(t('paper.error.noQuote'));
+        return;
+    }
+
+    const type = form.elements['order-type'].value;
+    const order = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, // Unique within a millisecond
+        symbol,
+        name: quote.name || symbol,
+        side: form.elements['order-side'].value,
+        type,
+        quantity: Number(form.elements['order-quantity'].value),
+        price: type === 'market' ? null : Number(form.elements['order-price'].value),
+        referencePrice: quote.currentPrice,
+        currency: getSymbolCurrency(symbol, quote),
+        createdAt: Date.now()
+    };
+
+    const error = validatePaperOrder(order);
+    if (error) {
+        showToast(error);
+        return;
+    }
+
+    paperAccount.orders.push(order);
+    savePaperAccount();
+    form.elements['order-quantity'].value = '';
+    if (getSymbolSession(symbol) !== 'open') {
+        showToast(t('paper.queued', { type: paperOrderTypeLabels[type] }));
+    }
+    await processPaperOrders();
+}
+
+function cancelPaperOrder(id) {
+    paperAccount.orders = paperAccount.orders.filter(o => o.id !== id);
+    savePaperAccount();
+    renderPaperAccount();
+    renderOrderTicketInfo();
+}
+
+function resetPaperAccount() {
+    if (!confirm(t('paper.resetConfirm'))) return;
+    paperAccount = createPaperAccount();
+    savePaperAccount();
+    renderPaperAccount();
+    renderOrderTicketInfo();
+}
+
+// Order Ticket (search result)
+function updateOrderTicket(symbol) {
+    const ticket = document.getElementById('order-ticket');
+    ticket.hidden = !isTradableSymbol(symbol);
+    if (ticket.hidden) return;
+
+    renderOrderTicketInfo();
+    getPaperQuote(symbol).then(() => {
+        if (currentSearchSymbol === symbol) renderOrderTicketInfo();
+    });
+}
+
+function renderOrderTicketInfo() {
+    const symbol = currentSearchSymbol;
+    const form = document.getElementById('order-ticket-form');
+    const info = document.getElementById('order-ticket-info');
+    if (!symbol || !isTradableSymbol(symbol)) return;
+
+    const isMarket = form.elements['order-type'].value === 'market';
+    const priceInput = form.elements['order-price'];
+    priceInput.disabled = isMarket;
+    priceInput.required = !isMarket;
+
+    const quote = paperQuotes[symbol];
+    const currency = getSymbolCurrency(symbol, quote);
+    const price = Number(priceInput.value) || (quote ? quote.currentPrice : null);
+    const tick = price ? getTickSize(symbol, price) : null;
+    if (tick) priceInput.step = tick;
+
+    const parts = [
+        t('paper.info.price', { value: quote ? formatMoney(quote.currentPrice, currency) : '--' }),
+        t('paper.info.tick', { value: tick ? formatMoney(tick, currency) : '--' }),
+        t('paper.info.cash', { value: currency in PAPER_INITIAL_CASH ? formatMoney(getAvailableCash(currency), currency) : '--' }),
+        t('paper.info.shares', { value: formatNumber(getAvailableShares(symbol)) })
+    ];
+    if (getSymbolSession(symbol) !== 'open') parts.push(t('paper.info.closed'));
+    info.textContent = parts.join(' · ');
+}
+
+// Account Ledger
+function renderPaperAccount() {
+    ['KRW', 'USD'].forEach(currency => {
+        document.getElementById(`paper-cash-${currency.toLowerCase()}`).textContent = formatMoney(paperAccount.cash[currency], currency);
+
+        const realized = paperAccount.trades
+            .filter(trade => trade.currency === currency && trade.realizedPnl !== null)
+            .reduce((sum, trade) => sum + trade.realizedPnl, 0);
+        const realizedEl = document.getElementById(`paper-realized-${currency.toLowerCase()}`);
+        realizedEl.textContent = formatMoney(realized, currency);
+        realizedEl.className = signClass(realized);
+    });
+
+    // Positions
+    const positionBody = document.querySelector('#paper-positions-table tbody');
+    positionBody.innerHTML = '';
+    const positionSymbols = Object.keys(paperAccount.positions);
+    positionSymbols.forEach(symbol => {
+        const position = paperAccount.positions[symbol];
+        const quote = paperQuotes[symbol];
+        const price = quote ? quote.currentPrice : null;
+        const pnl = price !== null ? position.quantity * (price - position.avgCost) : null;
+        const pnlPercent = pnl !== null ? ((price - position.avgCost) / position.avgCost) * 100 : null;
+
+        const tr = document.createElement('tr');
+        tr.append(
+            createCell(symbol, 'portfolio-symbol'),
+            createCell(position.name),
+            createCell(formatNumber(position.quantity)),
+            createCell(formatMoney(position.avgCost, position.currency)),
+            createCell(formatMoney(price, position.currency)),
+            createCell(formatMoney(price !== null ? position.quantity * price : null, position.currency)),
+            createCell(pnl !== null ? `${formatMoney(pnl, position.currency)} (${formatFixed(pnlPercent)}%)` : '--',
+                pnl !== null ? signClass(pnl) : '')
+        );
+        positionBody.appendChild(tr);
+    });
+    document.getElementById('paper-positions-empty').style.display = positionSymbols.length === 0 ? 'block' : 'none';
+
+    // Open orders
+    const orderBody = document.querySelector('#paper-orders-table tbody');
+    orderBody.innerHTML = '';
+    paperAccount.orders.forEach(order => {
+        const tr = document.createElement('tr');
+        tr.append(
+            createCell(formatDateTime(order.createdAt)),
+            createCell(order.name),
+            createCell(paperSideLabels[order.side], order.side === 'buy' ? 'text-up' : 'text-down'),
+            createCell(paperOrderTypeLabels[order.type]),
+            createCell(formatNumber(order.quantity)),
+            createCell(order.price !== null ? formatMoney(order.price, order.currency) : '--')
+        );
+
+        const actionCell = document.createElement('td');
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'card-remove-btn paper-cancel-btn';
+        cancelBtn.dataset.orderId = order.id;
+        cancelBtn.title = t('paper.cancelOrder');
+        cancelBtn.innerHTML = '&times;';
+        actionCell.appendChild(cancelBtn);
+        tr.appendChild(actionCell);
+        orderBody.appendChild(tr);
+    });
+    document.getElementById('paper-orders-empty').style.display = paperAccount.orders.length === 0 ? 'block' : 'none';
+
+    // Trade history
+    const tradeBody = document.querySelector('#paper-trades-table tbody');
+    tradeBody.innerHTML = '';
+    paperAccount.trades.forEach(trade => {
+        const tr = document.createElement('tr');
+        const rejected = trade.status === 'rejected';
+        const resultCell = rejected
+            ? createCell(t('paper.status.rejected'), 'text-down')
+            : createCell(trade.realizedPnl !== null ? formatMoney(trade.realizedPnl, trade.currency) : '--',
+                trade.realizedPnl !== null ? signClass(trade.realizedPnl) : '');
+        if (rejected) {
+            tr.className = 'paper-rejected';
+            resultCell.title = trade.reason;
+        }
+        tr.append(
+            createCell(formatDateTime(trade.time)),
+            createCell(trade.name),
+            createCell(paperSideLabels[trade.side], trade.side === 'buy' ? 'text-up' : 'text-down'),
+            createCell(paperOrderTypeLabels[trade.type]),
+            createCell(formatNumber(trade.quantity)),
+            createCell(formatMoney(trade.price, trade.currency)),
+            resultCell
+        );
+        tradeBody.appendChild(tr);
+    });
+    document.getElementById('paper-trades-empty').style.display = paperAccount.trades.length === 0 ? 'block' : 'none';
+}
+
+function initPaperTrading() {
+    const form = document.getElementById('order-ticket-form');
+    form.addEventListener('submit', submitPaperOrder);
+    form.addEventListener('change', renderOrderTicketInfo);
+
+    document.querySelector('#paper-orders-table tbody').addEventListener('click', (e) => {
+        if (e.target.classList.contains('paper-cancel-btn')) {
+            cancelPaperOrder(e.target.dataset.orderId);
+        }
+    });
+    document.getElementById('paper-reset-btn').addEventListener('click', resetPaperAccount);
+
+    renderPaperAccount();
+    if (paperAccount.orders.length > 0 || Object.keys(paperAccount.positions).length > 0) processPaperOrders();
+}
@@ -0,0 +1,249 @@
+// Portfolio Tracker
+// Holdings are stored locally; prices come from fetchStockData and totals are
+// converted to KRW with the KRW=X quote.
+const PORTFOLIO_STORAGE_KEY = 'portfolio';
+const FX_SYMBOL = 'KRW=X'; // USD/KRW
+
+let holdings = loadHoldings();
+const portfolioQuotes = {}; // symbol -> latest 1d data
+let fxRate = null; // KRW per USD
+
+function loadHoldings() {
+    try {
+        return JSON.parse(localStorage.getItem(PORTFOLIO_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error('Error loading portfolio:', error);
+        return [];
+    }
+}
+
+function saveHoldings() {
+    localStorage.setItem(PORTFOLIO_STORAGE_KEY, JSON.stringify(holdings));
+}
+
+// Quote currency, falling back to the exchange suffix when the provider didn't say
+function getSymbolCurrency(symbol, data) {
+    if (data && data.currency) return data.currency;
+    return /\.(KS|KQ)$/i.test(symbol) ? 'KRW' : 'USD';
+}
+
+function toKRW(value, currency) {
+    if (currency === 'KRW') return value;
+    return fxRate ? value * fxRate : null;
+}
+
+function signClass(value) {
+    return value >= 0 ? 'text-up' : 'text-down';
+}
+
+// Fetch today's quote for every held symbol plus the FX rate
+async function refreshPortfolio() {
+    const symbols = [...new Set(holdings.map(h => h.symbol))];
+
+    const quotes = await Promise.all(symbols.map(symbol => fetchWithCache(symbol, '1d', '5m')));
+    quotes.forEach((data, i) => {
+        if (data) portfolioQuotes[symbols[i]] = data;
+    });
+
+    const needsFx = symbols.some(symbol => getSymbolCurrency(symbol, portfolioQuotes[symbol]) !== 'KRW');
+    if (needsFx) {
+        const fx = await fetchWithCache(FX_SYMBOL, '1d', '5m');
+        if (fx) fxRate = fx.currentPrice;
+    }
+
+    renderPortfolio();
+}
+
+// Per-holding figures in the quote currency and in KRW
+function computeHoldingRow(holding) {
+    const data = portfolioQuotes[holding.symbol];
+    const currency = getSymbolCurrency(holding.symbol, data);
+    const price = data ? data.currentPrice : null;
+    const prevClose = data ? data.prevClose : null;
+
+    const cost = holding.quantity * holding.avgCost;
+    const value = price !== null ? holding.quantity * price : null;
+    const dayChange = price !== null && prevClose ? holding.quantity * (price - prevClose) : null;
+    const pnl = value !== null ? value - cost : null;
+
+    return {
+        holding,
+        name: data ? data.name : holding.symbol,
+        currency,
+        price,
+        value,
+        dayChange,
+        pnl,
+        pnlPercent: pnl !== null && cost > 0 ? (pnl / cost) * 100 : null,
+        valueKRW: value !== null ? toKRW(value, currency) : null,
+        costKRW: toKRW(cost, currency),
+        dayChangeKRW: dayChange !== null ? toKRW(dayChange, currency) : null
+    };
+}
+
+function createCell(text, className) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    if (className) td.className = className;
+    return td;
+}
+
+function renderPortfolio() {
+    const tbody = document.querySelector('#portfolio-table tbody');
+    const emptyEl = document.getElementById('portfolio-empty');
+    tbody.innerHTML = '';
+
+    const rows = holdings.map(computeHoldingRow);
+    // Holdings without a quote (or FX rate) stay out of the totals entirely;
+    // counting their cost alone would show as a loss
+    const valued = rows.filter(row => row.valueKRW !== null && row.costKRW !== null);
+    const totalValue = valued.reduce((sum, row) => sum + row.valueKRW, 0);
+    const totalCost = valued.reduce((sum, row) => sum + row.costKRW, 0);
+    const totalDay = valued.reduce((sum, row) => sum + (row.dayChangeKRW || 0), 0);
+    const missingCount = rows.length - valued.length;
+
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        const allocation = totalValue > 0 && row.valueKRW !== null ? (row.valueKRW / totalValue) * 100 : null;
+
+        tr.append(
+            createCell(row.holding.symbol, 'portfolio-symbol'),
+            createCell(row.name),
+            createCell(formatNumber(row.holding.quantity, 4)),
+            createCell(formatMoney(row.holding.avgCost, row.currency)),
+            createCell(formatMoney(row.price, row.currency)),
+            createCell(formatMoney(row.value, row.currency)),
+            createCell(formatMoney(row.dayChange, row.currency), row.dayChange !== null ? signClass(row.dayChange) : ''),
+            createCell(row.pnl !== null ? `${formatMoney(row.pnl, row.currency)} (${row.pnlPercent.toFixed(2)}%)` : '--',
+                row.pnl !== null ? signClass(row.pnl) : ''),
+            createCell(allocation !== null ? `${allocation.toFixed(1)}%` : '--'),
+            createCell(row.holding.buyDate || '--')
+        );
+
+        const actionCell = document.createElement('td');
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'card-remove-btn holding-remove-btn';
+        removeBtn.dataset.holdingId = row.holding.id;
+        removeBtn.title = t('common.delete');
+        removeBtn.innerHTML = '&times;';
+        actionCell.appendChild(removeBtn);
+        tr.appendChild(actionCell);
+
+        tbody.appendChild(tr);
+    });
+
+    emptyEl.style.display = holdings.length === 0 ? 'block' : 'none';
+
+    // Totals (KRW, with a USD equivalent when we have the FX rate)
+    const totalPnl = totalValue - totalCost;
+    const totalPnlPercent = totalCost > 0 ? (totalPnl / totalCost) * 100 : 0;
+
+    document.getElementById('portfolio-total-value').textContent = formatMoney(totalValue, 'KRW');
+    document.getElementById('portfolio-total-usd').textContent = fxRate ? `≈ ${formatMoney(totalValue / fxRate, 'USD')}` : '';
+
+    const dayEl = document.getElementById('portfolio-total-day');
+    dayEl.textContent = formatMoney(totalDay, 'KRW');
+    dayEl.className = signClass(totalDay);
+
+    const pnlEl = document.getElementById('portfolio-total-pnl');
+    pnlEl.textContent = `${formatMoney(totalPnl, 'KRW')} (${totalPnlPercent.toFixed(2)}%)`;
+    pnlEl.className = signClass(totalPnl);
+
+    const notes = [];
+    if (fxRate) notes.push(`USD/KRW ${formatNumber(fxRate)}`);
+    if (missingCount > 0) notes.push(t('portfolio.incomplete', { count: missingCount }));
+    document.getElementById('portfolio-fx').textContent = notes.join(' · ');
+}
+
+async function addHolding(e) {
+    e.preventDefault();
+    const form = e.target;
+
+    const rawSymbol = form.elements['holding-symbol'].value.trim();
+    const quantity = parseFloat(form.elements['holding-quantity'].value);
+    const avgCost = parseFloat(form.elements['holding-cost'].value);
+    const buyDate = form.elements['holding-date'].value;
+    if (!rawSymbol || !(quantity > 0) || !(avgCost >= 0)) return;
+
+    // Accept names and KRX codes like the main search does
+    const candidates = await resolveSearchSymbols(rawSymbol, '');
+    const symbol = candidates[0] || rawSymbol.toUpperCase();
+
+    // Random suffix keeps ids unique within a millisecond (double submit)
+    holdings.push({ id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, symbol, quantity, avgCost, buyDate });
+    saveHoldings();
+    form.reset();
+    refreshPortfolio();
+}
+
+function removeHolding(id) {
+    holdings = holdings.filter(h => h.id !== id);
+    saveHoldings();
+    renderPortfolio();
+}
+
+// CSV Import/Export (symbol,quantity,avgCost,buyDate)
+function exportHoldingsCsv() {
+    const lines = ['symbol,quantity,avgCost,buyDate'].concat(
+        holdings.map(h => [h.symbol, h.quantity, h.avgCost, h.buyDate || ''].join(','))
+    );
+    const blob = new Blob([lines.join('\n')], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'portfolio.csv';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function parseHoldingsCsv(text) {
+    const lines = text.trim().split(/\r?\n/);
+    const header = lines.shift().split(',').map(h => h.trim().toLowerCase());
+    const col = (name) => header.indexOf(name.toLowerCase());
+
+    return lines.map((line, i) => {
+        const cells = line.split(',').map(c => c.trim());
+        return {
+            id: `${Date.now().toString(36)}-${i}`,
+            symbol: (cells[col('symbol')] || '').toUpperCase(),
+            quantity: parseFloat(cells[col('quantity')]),
+            avgCost: parseFloat(cells[col('avgCost')]),
+            buyDate: cells[col('buyDate')] || ''
+        };
+    }).filter(h => h.symbol && h.quantity > 0 && h.avgCost >= 0);
+}
+
+function importHoldingsCsv(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const imported = parseHoldingsCsv(reader.result);
+            holdings = holdings.concat(imported);
+            saveHoldings();
+            refreshPortfolio();
+        } catch (error) {
+            console.error('Error importing portfolio CSV:', error);
+        }
+    };
+    reader.readAsText(file);
+}
+
+function initPortfolio() {
+    document.getElementById('portfolio-form').addEventListener('submit', addHolding);
+    document.getElementById('portfolio-export-btn').addEventListener('click', exportHoldingsCsv);
+
+    const fileInput = document.getElementById('portfolio-import-file');
+    document.getElementById('portfolio-import-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) importHoldingsCsv(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    document.querySelector('#portfolio-table tbody').addEventListener('click', (e) => {
+        if (e.target.classList.contains('holding-remove-btn')) {
+            removeHolding(e.target.dataset.holdingId);
+        }
+    });
+
+    renderPortfolio();
+    if (holdings.length > 0) refreshPortfolio();
+}
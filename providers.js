@@ -0,0 +1,354 @@
+// Market Data Provider Configuration
+// Providers are tried in `order` and the first one that returns data wins.
+// Define window.MARKET_DATA_CONFIG before this file loads to override any key
+// (e.g. point `proxy.url` at our own backend). `?providers=fixture,proxy` in the
+// page URL overrides the order, which is handy for running fully offline.
+const marketDataConfig = Object.assign({
+    order: ['proxy', 'yahoo'],
+    yahoo: {
+        baseUrl: 'https://query1.finance.yahoo.com/v8/finance/chart/',
+        summaryUrl: 'https://query2.finance.yahoo.com/v10/finance/quoteSummary/'
+    },
+    proxy: {
+        // Placeholders: {url} = encoded Yahoo chart URL, {symbol}, {range}, {interval}
+        // ({range} may be a custom 'YYYY-MM-DD~YYYY-MM-DD' span, see parseCustomRange)
+        // e.g. 'https://api.example.com/chart/{symbol}?range={range}&interval={interval}'
+        url: 'https://api.allorigins.win/raw?url={url}',
+        // Same placeholders, with {url} = encoded Yahoo quoteSummary URL; null falls back to `url`
+        fundamentalsUrl: null,
+        format: 'yahoo' // 'yahoo' = raw chart JSON, 'normalized' = already in our shape
+    },
+    fixture: {
+        // Files are looked up as {symbol}_{range}_{interval}.json|csv, then {symbol}.json|csv;
+        // fundamentals as {symbol}_fundamentals.json (normalized shape). The repo ships
+        // simulated samples for 005930.KS (normalized JSON) and AAPL (raw Yahoo JSON).
+        baseUrl: 'fixtures'
+    },
+    search: {
+        // Optional remote symbol lookup for the autocomplete; set url to null to disable.
+        // Placeholders: {url} = encoded Yahoo search URL, {query}
+        url: 'https://api.allorigins.win/raw?url={url}'
+    },
+    stream: {
+        // Live last-price channel between polls (see streaming.js); null = polling only.
+        // ws:// or wss:// connects a WebSocket, http(s):// an EventSource with
+        // {symbols} = comma-separated symbol list. `?stream=` in the page URL overrides it,
+        // e.g. ?stream=ws://localhost:8787 for a local mock server.
+        url: null
+    }
+}, window.MARKET_DATA_CONFIG || {});
+
+// Resolve provider order (URL override > config)
+function getProviderOrder() {
+    const param = new URLSearchParams(window.location.search).get('providers');
+    if (param) {
+        return param.split(',').map(name => name.trim()).filter(Boolean);
+    }
+    return marketDataConfig.order;
+}
+
+// Build the normalized data object every chart consumes
+function buildStockData(ohlc, meta) {
+    return {
+        ohlc: ohlc,
+        prices: ohlc.map(item => item.c), // Keep simple prices for line chart
+        timestamps: ohlc.map(item => item.time),
+        currentPrice: meta.currentPrice,
+        prevClose: meta.prevClose,
+        lastUpdated: ohlc.length > 0 ? ohlc[ohlc.length - 1].time : null,
+        name: meta.name,
+        currency: meta.currency || null, // e.g. 'KRW', 'USD'
+        timeZone: meta.timeZone || null, // IANA zone of the exchange, e.g. 'Asia/Seoul'
+        events: meta.events || [] // Dividends and splits: { time, type, amount | ratio }
+    };
+}
+
+// Normalized fundamentals; every field is null when the provider doesn't have it
+// (common for KOSPI/KOSDAQ names)
+function buildFundamentals(fields) {
+    return {
+        marketCap: fields.marketCap ?? null,
+        trailingPE: fields.trailingPE ?? null,
+        eps: fields.eps ?? null,
+        dividendYield: fields.dividendYield ?? null, // Fraction, e.g. 0.021 = 2.1%
+        fiftyTwoWeekHigh: fields.fiftyTwoWeekHigh ?? null,
+        fiftyTwoWeekLow: fields.fiftyTwoWeekLow ?? null,
+        averageVolume: fields.averageVolume ?? null,
+        sector: fields.sector || null,
+        industry: fields.industry || null,
+        nextEarnings: fields.nextEarnings ?? null, // Unix seconds
+        currency: fields.currency || null
+    };
+}
+
+// Yahoo quoteSummary URL with the modules the fundamentals panel reads
+function buildYahooSummaryUrl(symbol) {
+    const modules = 'price,summaryDetail,defaultKeyStatistics,assetProfile,calendarEvents';
+    return `${marketDataConfig.yahoo.summaryUrl}${encodeURIComponent(symbol)}?modules=${modules}`;
+}
+
+function parseYahooQuoteSummary(data, symbol) {
+    const result = data && data.quoteSummary && data.quoteSummary.result && data.quoteSummary.result[0];
+    if (!result) throw new Error(`No fundamentals for ${symbol}`);
+
+    // Yahoo wraps numbers as { raw, fmt }; empty objects mean "not available"
+    const raw = (module, key) => {
+        const value = module && module[key];
+        if (value && typeof value === 'object') return typeof value.raw === 'number' ? value.raw : null;
+        return typeof value === 'number' ? value : null;
+    };
+    const price = result.price || {};
+    const detail = result.summaryDetail || {};
+    const stats = result.defaultKeyStatistics || {};
+    const profile = result.assetProfile || {};
+    const earnings = (result.calendarEvents && result.calendarEvents.earnings) || {};
+
+    const now = Date.now() / 1000;
+    const nextEarnings = (earnings.earningsDate || [])
+        .map(date => (date && typeof date.raw === 'number' ? date.raw : null))
+        .filter(time => time !== null && time >= now - 86400)
+        .sort((a, b) => a - b)[0];
+
+    return buildFundamentals({
+        marketCap: raw(price, 'marketCap') ?? raw(detail, 'marketCap'),
+        trailingPE: raw(detail, 'trailingPE'),
+        eps: raw(stats, 'trailingEps'),
+        dividendYield: raw(detail, 'dividendYield') ?? raw(detail, 'trailingAnnualDividendYield'),
+        fiftyTwoWeekHigh: raw(detail, 'fiftyTwoWeekHigh'),
+        fiftyTwoWeekLow: raw(detail, 'fiftyTwoWeekLow'),
+        averageVolume: raw(detail, 'averageVolume') ?? raw(price, 'averageDailyVolume3Month'),
+        sector: profile.sector,
+        industry: profile.industry,
+        nextEarnings: nextEarnings,
+        currency: price.currency || detail.currency
+    });
+}
+
+// Custom ranges are encoded as 'YYYY-MM-DD~YYYY-MM-DD' (end date inclusive) so they
+// can travel through the same `range` string as presets ('1y', 'ytd', 'max', ...)
+const CUSTOM_RANGE_PATTERN = /^(\d{4}-\d{2}-\d{2})~(\d{4}-\d{2}-\d{2})$/;
+
+function parseCustomRange(range) {
+    const match = CUSTOM_RANGE_PATTERN.exec(range || '');
+    if (!match) return null;
+    const period1 = Date.parse(`${match[1]}T00:00:00Z`) / 1000;
+    const period2 = Date.parse(`${match[2]}T00:00:00Z`) / 1000 + 86400;
+    if (isNaN(period1) || isNaN(period2)) return null;
+    return { start: match[1], end: match[2], period1, period2 };
+}
+
+function formatCustomRange(start, end) {
+    return `${start}~${end}`;
+}
+
+// Yahoo chart URL for a symbol/range/interval (custom ranges use period1/period2)
+function buildYahooChartUrl(symbol, range, interval) {
+    const custom = parseCustomRange(range);
+    const span = custom ? `period1=${custom.period1}&period2=${custom.period2}` : `range=${range}`;
+    return `${marketDataConfig.yahoo.baseUrl}${encodeURIComponent(symbol)}?interval=${interval}&${span}&events=div,splits`;
+}
+
+// Flatten Yahoo's `events` block (objects keyed by timestamp) into a sorted list
+function parseYahooEvents(events) {
+    const list = [];
+    if (!events) return list;
+
+    Object.values(events.dividends || {}).forEach(d => {
+        list.push({ time: d.date, type: 'dividend', amount: d.amount });
+    });
+    Object.values(events.splits || {}).forEach(s => {
+        list.push({ time: s.date, type: 'split', ratio: s.splitRatio || `${s.numerator}:${s.denominator}` });
+    });
+
+    return list.sort((a, b) => a.time - b.time);
+}
+
+// Parse a Yahoo v8/finance/chart response
+function parseYahooChart(data, symbol) {
+    if (!data || !data.chart || !data.chart.result || !data.chart.result[0]) {
+        throw new Error('Unexpected chart response');
+    }
+    const result = data.chart.result[0];
+
+    const timestamps = result.timestamp || [];
+    const quotes = result.indicators.quote[0] || {};
+
+    const opens = quotes.open || [];
+    const highs = quotes.high || [];
+    const lows = quotes.low || [];
+    const closes = quotes.close || [];
+    const volumes = quotes.volume || [];
+
+    // Filter out null values
+    const validData = timestamps.map((time, i) => ({
+        time: time, // Keep seconds for calculation
+        o: opens[i],
+        h: highs[i],
+        l: lows[i],
+        c: closes[i],
+        v: volumes[i] || 0
+    })).filter(item => item.c != null && item.o != null); // Basic validation
+
+    return buildStockData(validData, {
+        currentPrice: result.meta.regularMarketPrice,
+        prevClose: result.meta.chartPreviousClose,
+        name: result.meta.shortName || result.meta.longName || symbol,
+        currency: result.meta.currency,
+        timeZone: result.meta.exchangeTimezoneName,
+        events: parseYahooEvents(result.events)
+    });
+}
+
+// Accept either a raw Yahoo response or an already normalized object
+function parseChartPayload(data, symbol) {
+    if (data && data.chart) {
+        return parseYahooChart(data, symbol);
+    }
+    if (data && Array.isArray(data.ohlc)) {
+        const last = data.ohlc[data.ohlc.length - 1];
+        const prev = data.ohlc[data.ohlc.length - 2];
+        return buildStockData(data.ohlc, {
+            currentPrice: data.currentPrice != null ? data.currentPrice : (last ? last.c : null),
+            prevClose: data.prevClose != null ? data.prevClose : (prev ? prev.c : null),
+            name: data.name || symbol,
+            currency: data.currency,
+            timeZone: data.timeZone,
+            events: data.events
+        });
+    }
+    throw new Error('Unrecognized chart payload');
+}
+
+// Parse a CSV with a header row: Date|Time|Timestamp, Open, High, Low, Close[, Volume]
+function parseChartCsv(text, symbol) {
+    const lines = text.trim().split(/\r?\n/);
+    const header = lines.shift().split(',').map(h => h.trim().toLowerCase());
+    const col = (...names) => header.findIndex(h => names.includes(h));
+
+    const timeCol = col('date', 'time', 'timestamp', 'datetime');
+    const openCol = col('open', 'o');
+    const highCol = col('high', 'h');
+    const lowCol = col('low', 'l');
+    const closeCol = col('close', 'c', 'adj close');
+    const volumeCol = col('volume', 'v');
+    if (timeCol < 0 || closeCol < 0) throw new Error('CSV is missing date/close columns');
+
+    const ohlc = lines.map(line => {
+        const cells = line.split(',');
+        const rawTime = cells[timeCol].trim();
+        // Numeric values are UNIX seconds, anything else is parsed as a date string
+        const time = /^\d+$/.test(rawTime) ? Number(rawTime) : Math.floor(Date.parse(rawTime) / 1000);
+        const c = parseFloat(cells[closeCol]);
+        return {
+            time: time,
+            o: openCol >= 0 ? parseFloat(cells[openCol]) : c,
+            h: highCol >= 0 ? parseFloat(cells[highCol]) : c,
+            l: lowCol >= 0 ? parseFloat(cells[lowCol]) : c,
+            c: c,
+            v: volumeCol >= 0 ? parseFloat(cells[volumeCol]) || 0 : 0
+        };
+    }).filter(item => !isNaN(item.time) && !isNaN(item.c));
+
+    return parseChartPayload({ ohlc: ohlc, name: symbol }, symbol);
+}
+
+async function fetchJson(url, signal) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) throw new Error('Network response was not ok');
+    return response.json();
+}
+
+function fillUrlTemplate(template, symbol, range, interval) {
+    return template
+        .replace('{url}', encodeURIComponent(buildYahooChartUrl(symbol, range, interval)))
+        .replace('{symbol}', encodeURIComponent(symbol))
+        .replace('{range}', range)
+        .replace('{interval}', interval);
+}
+
+// Remote Symbol Search
+// Resolves to [{ symbol, name, exchange }] using marketDataConfig.search
+async function searchSymbolsRemote(query) {
+    const template = marketDataConfig.search && marketDataConfig.search.url;
+    if (!template) return [];
+
+    const yahooUrl = `https://query1.finance.yahoo.com/v1/finance/search?q=${encodeURIComponent(query)}&quotesCount=8&newsCount=0`;
+    const data = await fetchJson(template
+        .replace('{url}', encodeURIComponent(yahooUrl))
+        .replace('{query}', encodeURIComponent(query)));
+
+    return (data.quotes || [])
+        .filter(quote => quote.symbol && ['EQUITY', 'ETF', 'INDEX'].includes(quote.quoteType))
+        .map(quote => ({
+            symbol: quote.symbol,
+            name: quote.shortname || quote.longname || quote.symbol,
+            exchange: quote.exchDisp || quote.exchange || ''
+        }));
+}
+
+// Provider Registry
+// Each provider implements fetchChart(symbol, range, interval, signal) and resolves
+// to the shape produced by buildStockData, or throws. `signal` is an AbortSignal
+// from the request scheduler and should be passed on to fetch().
+// fetchFundamentals(symbol, signal) is optional and resolves to buildFundamentals' shape.
+const marketDataProviders = {
+    // Direct Yahoo request (works where CORS allows it, e.g. extensions or a permissive browser)
+    yahoo: {
+        async fetchChart(symbol, range, interval, signal) {
+            const data = await fetchJson(buildYahooChartUrl(symbol, range, interval), signal);
+            return parseYahooChart(data, symbol);
+        },
+        async fetchFundamentals(symbol, signal) {
+            return parseYahooQuoteSummary(await fetchJson(buildYahooSummaryUrl(symbol), signal), symbol);
+        }
+    },
+
+    // CORS proxy or our own backend, configured through marketDataConfig.proxy
+    proxy: {
+        async fetchChart(symbol, range, interval, signal) {
+            const config = marketDataConfig.proxy;
+            const data = await fetchJson(fillUrlTemplate(config.url, symbol, range, interval), signal);
+            return config.format === 'normalized' ? parseChartPayload(data, symbol) : parseYahooChart(data, symbol);
+        },
+        async fetchFundamentals(symbol, signal) {
+            const config = marketDataConfig.proxy;
+            const url = (config.fundamentalsUrl || config.url)
+                .replace('{url}', encodeURIComponent(buildYahooSummaryUrl(symbol)))
+                .replace('{symbol}', encodeURIComponent(symbol));
+            const data = await fetchJson(url, signal);
+            return config.format === 'normalized' ? buildFundamentals(data) : parseYahooQuoteSummary(data, symbol);
+        }
+    },
+
+    // Local JSON/CSV files for offline use and testing
+    fixture: {
+        async fetchChart(symbol, range, interval, signal) {
+            const base = marketDataConfig.fixture.baseUrl;
+            const fileName = symbol.replace(/[^A-Za-z0-9.]/g, '_');
+            const candidates = [`${fileName}_${range}_${interval}`, fileName];
+
+            for (const name of candidates) {
+                for (const ext of ['json', 'csv']) {
+                    const response = await fetch(`${base}/${name}.${ext}`, { signal });
+                    if (!response.ok) continue;
+                    if (ext === 'json') {
+                        return parseChartPayload(await response.json(), symbol);
+                    }
+                    return parseChartCsv(await response.text(), symbol);
+                }
+            }
+            throw new Error(`No fixture for ${symbol}`);
+        },
+        async fetchFundamentals(symbol, signal) {
+            const fileName = symbol.replace(/[^A-Za-z0-9.]/g, '_');
+            const response = await fetch(`${marketDataConfig.fixture.baseUrl}/${fileName}_fundamentals.json`, { signal });
+            if (!response.ok) throw new Error(`No fundamentals fixture for ${symbol}`);
+            return buildFundamentals(await response.json());
+        }
+    }
+};
+
+// Register an additional provider (e.g. a custom backend with its own format)
+function registerMarketDataProvider(name, provider) {
+    marketDataProviders[name] = provider;
+}
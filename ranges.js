@@ -0,0 +1,216 @@
+// Range Picker
+// Every chart gets a range menu next to its range buttons: preset spans (incl. YTD
+// and max), custom start/end dates, and an interval select that only lists
+// intervals Yahoo can serve for the chosen span.
+const rangePresets = [
+    { range: '1d', label: t('range.1d'), days: 1 },
+    { range: '5d', label: t('range.5d'), days: 5 },
+    { range: '1mo', label: t('range.1mo'), days: 31 },
+    { range: '3mo', label: t('range.3mo'), days: 92 },
+    { range: '6mo', label: t('range.6mo'), days: 183 },
+    { range: 'ytd', label: t('range.ytd') },
+    { range: '1y', label: t('range.1y'), days: 366 },
+    { range: '2y', label: t('range.2y'), days: 731 },
+    { range: '5y', label: t('range.5y'), days: 1827 },
+    { range: '10y', label: t('range.10y'), days: 3653 },
+    { range: 'max', label: t('range.max'), days: Infinity }
+];
+
+// days = length of one bar; lookback = how far back Yahoo keeps this interval
+const intervalOptions = [
+    { interval: '1m', label: t('interval.1m'), days: 1 / 1440, lookback: 30, maxSpan: 7 },
+    { interval: '2m', label: t('interval.2m'), days: 2 / 1440, lookback: 60 },
+    { interval: '5m', label: t('interval.5m'), days: 5 / 1440, lookback: 60 },
+    { interval: '15m', label: t('interval.15m'), days: 15 / 1440, lookback: 60 },
+    { interval: '30m', label: t('interval.30m'), days: 30 / 1440, lookback: 60 },
+    { interval: '60m', label: t('interval.60m'), days: 1 / 24, lookback: 730 },
+    { interval: '90m', label: t('interval.90m'), days: 1.5 / 24, lookback: 60 },
+    { interval: '1d', label: t('interval.1d'), days: 1 },
+    { interval: '5d', label: t('interval.5d'), days: 5 },
+    { interval: '1wk', label: t('interval.1wk'), days: 7 },
+    { interval: '1mo', label: t('interval.1mo'), days: 30 },
+    { interval: '3mo', label: t('interval.3mo'), days: 91 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TARGET_BAR_COUNT = 400; // Default interval aims for about this many bars at most
+
+function toDateInputValue(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// { span, lookback } in days for a range string, or null if it isn't one
+function getRangeSpan(range) {
+    const custom = parseCustomRange(range);
+    if (custom) {
+        return {
+            span: (custom.period2 - custom.period1) / 86400,
+            lookback: (Date.now() / 1000 - custom.period1) / 86400
+        };
+    }
+    if (range === 'ytd') {
+        const now = new Date();
+        const days = Math.max(1, Math.ceil((now - new Date(now.getFullYear(), 0, 1)) / DAY_MS));
+        return { span: days, lookback: days };
+    }
+    const preset = rangePresets.find(p => p.range === range);
+    return preset ? { span: preset.days, lookback: preset.days } : null;
+}
+
+// Why an interval can't be used for a range ('' when it can)
+function getIntervalError(range, interval) {
+    const span = getRangeSpan(range);
+    const option = intervalOptions.find(o => o.interval === interval);
+    if (!span) return t('range.error.unknownRange');
+    if (!option) return t('range.error.unknownInterval');
+
+    if (option.lookback && span.lookback > option.lookback) {
+        return t('range.error.lookback', { interval: option.label, days: option.lookback });
+    }
+    if (option.maxSpan && span.span > option.maxSpan) {
+        return t('range.error.maxSpan', { interval: option.label, days: option.maxSpan });
+    }
+    if (span.span / option.days < 2) {
+        return t('range.error.tooShort');
+    }
+    return '';
+}
+
+function getValidIntervals(range) {
+    return intervalOptions.filter(o => !getIntervalError(range, o.interval)).map(o => o.interval);
+}
+
+// Full check of a range/interval pair before fetching; returns an error message or ''
+function validateRangeSelection(range, interval) {
+    if (!range) return t('range.error.missingDates');
+    const custom = parseCustomRange(range);
+    if (custom) {
+        if (custom.start > custom.end) return t('range.error.startAfterEnd');
+        if (custom.end > toDateInputValue(new Date())) return t('range.error.futureEnd');
+    }
+    if (!interval) return t('range.error.noInterval');
+    return getIntervalError(range, interval);
+}
+
+// Keep the current interval if it's valid, otherwise the finest one that stays
+// under TARGET_BAR_COUNT bars
+function pickDefaultInterval(range, currentInterval) {
+    const valid = getValidIntervals(range);
+    if (valid.includes(currentInterval)) return currentInterval;
+
+    const span = getRangeSpan(range);
+    const spanDays = span && isFinite(span.span) ? span.span : 365 * 30;
+    const fitting = valid.find(interval => spanDays / intervalOptions.find(o => o.interval === interval).days <= TARGET_BAR_COUNT);
+    return fitting || valid[valid.length - 1] || null;
+}
+
+function describeRange(range, interval) {
+    const custom = parseCustomRange(range);
+    const preset = rangePresets.find(p => p.range === range);
+    const option = intervalOptions.find(o => o.interval === interval);
+    const rangeLabel = custom ? `${custom.start.slice(2)}~${custom.end.slice(2)}` : (preset ? preset.label : range);
+    return option ? `${rangeLabel} · ${option.label}` : rangeLabel;
+}
+
+function createRangePicker() {
+    const picker = document.createElement('details');
+    picker.className = 'range-picker';
+
+    const presetOptions = rangePresets.map(p => `<option value="${p.range}">${p.label}</option>`).join('');
+    picker.innerHTML = `
+        <summary class="menu-btn">${t('range.menu')}</summary>
+        <div class="range-panel">
+            <label class="range-field">${t('range.menu')}
+                <select class="range-preset">${presetOptions}<option value="custom">${t('range.custom')}</option></select>
+            </label>
+            <div class="range-field range-custom" hidden>
+                <input type="date" class="range-start"> ~ <input type="date" class="range-end">
+            </div>
+            <label class="range-field">${t('range.interval')}
+                <select class="range-interval"></select>
+            </label>
+            <p class="range-error"></p>
+            <button class="range-apply-btn">${t('range.apply')}</button>
+        </div>`;
+    return picker;
+}
+
+function initRangePickers() {
+    document.querySelectorAll('.chart-controls-wrapper').forEach(wrapper => {
+        if (!wrapper.querySelector('.range-picker')) {
+            wrapper.querySelector('.chart-controls').after(createRangePicker());
+        }
+    });
+}
+
+// Range string currently described by the picker's inputs ('' if incomplete)
+function readPickerRange(picker) {
+    const preset = picker.querySelector('.range-preset').value;
+    if (preset !== 'custom') return preset;
+    const start = picker.querySelector('.range-start').value;
+    const end = picker.querySelector('.range-end').value;
+    return start && end ? formatCustomRange(start, end) : '';
+}
+
+// Refill the interval select with only the intervals valid for the chosen span
+function refreshPickerIntervals(picker, preferredInterval) {
+    const range = readPickerRange(picker);
+    const select = picker.querySelector('.range-interval');
+    const current = preferredInterval || select.value;
+
+    picker.querySelector('.range-custom').hidden = picker.querySelector('.range-preset').value !== 'custom';
+    picker.querySelector('.range-error').textContent = '';
+
+    const valid = range ? getValidIntervals(range) : [];
+    select.innerHTML = intervalOptions
+        .filter(o => valid.includes(o.interval))
+        .map(o => `<option value="${o.interval}">${o.label}</option>`)
+        .join('');
+    select.disabled = valid.length === 0;
+
+    const chosen = range ? pickDefaultInterval(range, current) : null;
+    if (chosen) select.value = chosen;
+}
+
+// Load a chart's current range/interval into its picker (on open)
+function syncRangePicker(picker, range, interval) {
+    const custom = parseCustomRange(range);
+    const presetSelect = picker.querySelector('.range-preset');
+    presetSelect.value = custom ? 'custom' : range;
+    if (presetSelect.value === '') presetSelect.value = '1y';
+
+    const today = toDateInputValue(new Date());
+    picker.querySelector('.range-start').value = custom ? custom.start : toDateInputValue(new Date(Date.now() - 365 * DAY_MS));
+    picker.querySelector('.range-end').value = custom ? custom.end : today;
+    picker.querySelector('.range-start').max = today;
+    picker.querySelector('.range-end').max = today;
+
+    refreshPickerIntervals(picker, interval);
+}
+
+// Validate and return { range, interval }, or show the error and return null
+function readRangePickerSelection(picker) {
+    const range = readPickerRange(picker);
+    const interval = picker.querySelector('.range-interval').value;
+    const error = validateRangeSelection(range, interval);
+    picker.querySelector('.range-error').textContent = error;
+    return error ? null : { range, interval };
+}
+
+// Highlight the range button matching range/interval; the picker summary takes
+// over (with a description) when no button matches
+function setActiveRangeButtons(wrapper, range, interval) {
+    if (!wrapper) return;
+    let matched = false;
+    wrapper.querySelectorAll('.range-btn').forEach(btn => {
+        const active = btn.dataset.range === range && btn.dataset.interval === interval;
+        btn.classList.toggle('active', active);
+        matched = matched || active;
+    });
+
+    const summary = wrapper.querySelector('.range-picker summary');
+    if (summary) {
+        summary.classList.toggle('active', !matched);
+        summary.textContent = matched ? t('range.menu') : describeRange(range, interval);
+    }
+}
@@ -0,0 +1,111 @@
+// Request Scheduler
+// All market data requests go through scheduleRequest:
+// - at most SCHEDULER_MAX_CONCURRENT requests run at once, the rest wait in a queue
+// - identical requests (same key) share one in-flight job
+// - each caller may pass an AbortSignal; the shared job is only cancelled once
+//   every caller waiting on it has aborted
+const SCHEDULER_MAX_CONCURRENT = 4;
+const SCHEDULER_BACKOFF_BASE_MS = 500;
+const SCHEDULER_BACKOFF_MAX_MS = 8000;
+
+const schedulerQueue = [];
+const schedulerJobs = new Map(); // key -> job (queued or running)
+let schedulerRunning = 0;
+
+function createAbortError() {
+    return new DOMException('Request aborted', 'AbortError');
+}
+
+function isAbortError(error) {
+    return error && error.name === 'AbortError';
+}
+
+// Exponential backoff with full jitter: a random delay in [0, base * 2^attempt]
+function backoffDelay(attempt) {
+    const cap = Math.min(SCHEDULER_BACKOFF_MAX_MS, SCHEDULER_BACKOFF_BASE_MS * 2 ** attempt);
+    return Math.random() * cap;
+}
+
+// setTimeout as a promise that rejects early when the signal aborts
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(createAbortError());
+            }, { once: true });
+        }
+    });
+}
+
+function pumpScheduler() {
+    while (schedulerRunning < SCHEDULER_MAX_CONCURRENT && schedulerQueue.length > 0) {
+        const job = schedulerQueue.shift();
+        if (job.controller.signal.aborted) continue; // Cancelled while queued
+
+        schedulerRunning++;
+        job.task(job.controller.signal)
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                schedulerRunning--;
+                if (schedulerJobs.get(job.key) === job) schedulerJobs.delete(job.key);
+                pumpScheduler();
+            });
+    }
+}
+
+// Run task(signal) under the scheduler. Resolves/rejects with the task's result,
+// or rejects with an AbortError when options.signal aborts first.
+function scheduleRequest(key, task, options = {}) {
+    const { signal } = options;
+    if (signal && signal.aborted) return Promise.reject(createAbortError());
+
+    let job = schedulerJobs.get(key);
+    if (!job) {
+        job = { key, task, controller: new AbortController(), waiting: 0 };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        schedulerJobs.set(key, job);
+        schedulerQueue.push(job);
+        pumpScheduler();
+    }
+    job.waiting++;
+
+    const sharedJob = job;
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        const onAbort = () => {
+            if (settled) return;
+            settled = true;
+            reject(createAbortError());
+
+            sharedJob.waiting--;
+            if (sharedJob.waiting === 0) {
+                // Nobody wants the result anymore: cancel it and let a new request start fresh
+                sharedJob.controller.abort();
+                sharedJob.reject(createAbortError());
+                if (schedulerJobs.get(key) === sharedJob) schedulerJobs.delete(key);
+            }
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        sharedJob.promise.then(result => {
+            if (settled) return;
+            settled = true;
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve(result);
+        }, error => {
+            if (settled) return;
+            settled = true;
+            if (signal) signal.removeEventListener('abort', onAbort);
+            reject(error);
+        });
+    });
+}
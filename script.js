@@ -47,6 +47,15 @@ const chartConfig = {
                         size: 11
                     }
                 }
+            },
+            // Hidden axis for volume bars; max is set per update so bars stay in the bottom band
+            volume: {
+                position: 'left',
+                display: false,
+                beginAtZero: true,
+                grid: {
+                    display: false
+                }
             }
         },
         interaction: {
@@ -70,104 +79,153 @@ const chartConfig = {
     }
 };
 
-// Indices Configuration
-const indices = [
-    { id: 'kospi', symbol: '^KS11', name: 'KOSPI', range: '5y', interval: '1mo', type: 'candlestick' },
-    { id: 'kosdaq', symbol: '^KQ11', name: 'KOSDAQ', range: '5y', interval: '1mo', type: 'candlestick' },
-    { id: 'nasdaq', symbol: '^IXIC', name: 'NASDAQ', range: '5y', interval: '1mo', type: 'candlestick' },
-    { id: 'sp500', symbol: '^GSPC', name: 'S&P 500', range: '5y', interval: '1mo', type: 'candlestick' }
+// Dashboard Cards
+// One state object per card in the saved layout (layout.js), starting from its
+// defaults; every dashboard loop works over this list
+const cards = dashboardLayout.cards.map(createCardState);
+
+// Range buttons offered on dashboard cards (mirrors the search result markup in index.html)
+const rangeOptions = [
+    { range: '1d', interval: '5m', label: t('range.1d') },
+    { range: '5d', interval: '15m', label: t('range.5d') },
+    { range: '1mo', interval: '1d', label: t('range.1mo') },
+    { range: '6mo', interval: '1d', label: t('range.6mo') },
+    { range: '1y', interval: '1d', label: t('range.1y') },
+    { range: '5y', interval: '1mo', label: t('range.5y') }
 ];
 
 // Chart Instances
 const charts = {};
 
 // Fetch Stock Data
-async function fetchStockData(symbol, range = '1d', interval = '5m', retries = 1) {
-    for (let i = 0; i <= retries; i++) {
-        try {
-            const encodedUrl = encodeURIComponent(`https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=${interval}&range=${range}`);
-            const response = await fetch(`https://api.allorigins.win/raw?url=${encodedUrl}`);
-            if (!response.ok) throw new Error('Network response was not ok');
-
-            const data = await response.json();
-            const result = data.chart.result[0];
-
-            const timestamps = result.timestamp || [];
-            const quotes = result.indicators.quote[0];
-
-            const opens = quotes.open || [];
-            const highs = quotes.high || [];
-            const lows = quotes.low || [];
-            const closes = quotes.close || [];
-
-            // Filter out null values
-            const validData = timestamps.map((t, i) => ({
-                time: t, // Keep seconds for calculation
-                o: opens[i],
-                h: highs[i],
-                l: lows[i],
-                c: closes[i]
-            })).filter(item => item.c !== null && item.o !== null); // Basic validation
-
-            const regularMarketPrice = result.meta.regularMarketPrice;
-            const chartPreviousClose = result.meta.chartPreviousClose;
-
-            // Get Stock Name
-            const stockName = result.meta.shortName || result.meta.longName || symbol;
-
-            return {
-                ohlc: validData,
-                prices: validData.map(item => item.c), // Keep simple prices for line chart
-                timestamps: validData.map(item => item.time),
-                currentPrice: regularMarketPrice,
-                prevClose: chartPreviousClose,
-                lastUpdated: validData.length > 0 ? validData[validData.length - 1].time : null,
-                name: stockName,
-            };
-        } catch (error) {
-            if (i === retries) {
-                console.error(`Error fetching data for ${symbol}:`, error);
-                return null;
+// Walks the configured providers (see providers.js) and returns the first success
+// Requests go through the scheduler (scheduler.js): identical in-flight requests
+// are shared, and failures retry with jittered exponential backoff.
+// options.signal cancels this caller's interest; the promise then rejects with an AbortError.
+function fetchStockData(symbol, range = '1d', interval = '5m', options = {}) {
+    const retries = options.retries ?? 2;
+
+    return scheduleRequest(`chart|${symbol}|${range}|${interval}`, async (signal) => {
+        for (const providerName of getProviderOrder()) {
+            const provider = marketDataProviders[providerName];
+            if (!provider) continue;
+
+            for (let i = 0; i <= retries; i++) {
+                try {
+                    const data = await provider.fetchChart(symbol, range, interval, signal);
+                    data.provider = providerName;
+                    return data;
+                } catch (error) {
+                    if (signal.aborted) throw error;
+                    if (i === retries) {
+                        console.error(`[${providerName}] Error fetching data for ${symbol}:`, error);
+                    } else {
+                        await sleep(backoffDelay(i), signal);
+                    }
+                }
             }
-            await new Promise(r => setTimeout(r, 500)); // Wait 500ms before retry
         }
-    }
+        return null;
+    }, { signal: options.signal });
+}
+
+// Fetch Fundamentals
+// Same provider order as charts; providers without fetchFundamentals are skipped.
+// No retries: the panel is secondary and simply shows what it has.
+function fetchFundamentals(symbol, options = {}) {
+    return scheduleRequest(`fundamentals|${symbol}`, async (signal) => {
+        for (const providerName of getProviderOrder()) {
+            const provider = marketDataProviders[providerName];
+            if (!provider || !provider.fetchFundamentals) continue;
+
+            try {
+                return await provider.fetchFundamentals(symbol, signal);
+            } catch (error) {
+                if (signal.aborted) throw error;
+                console.error(`[${providerName}] Error fetching fundamentals for ${symbol}:`, error);
+            }
+        }
+        return null;
+    }, { signal: options.signal });
 }
 
 // Initialize Charts
 async function initCharts() {
-    for (const index of indices) {
-        const ctx = document.getElementById(`${index.id}Chart`).getContext('2d');
-
-        // Initial empty chart
-        const config = JSON.parse(JSON.stringify(chartConfig));
-        // Main dashboard charts should show X-axis now that they have controls
-        config.options.scales.x.display = true;
-
-        config.data = {
-            labels: [],
-            datasets: [{
-                label: index.name,
-                data: [],
-                borderColor: '#2ebd85',
-                backgroundColor: 'rgba(46, 189, 133, 0.2)',
-                fill: true
-            }]
-        };
+    cards.forEach(createCardChart);
 
-        charts[index.id] = new Chart(ctx, config);
+    // Load initial data (the scheduler caps how many run at once)
+    await Promise.all(cards.map(updateIndexData));
+}
 
-        // Load initial data
-        await updateIndexData(index);
-    }
+// Create the Chart instance for a dashboard card
+function createCardChart(index) {
+    const ctx = document.getElementById(`${index.id}Chart`).getContext('2d');
+
+    // Initial empty chart
+    const config = JSON.parse(JSON.stringify(chartConfig));
+    // Main dashboard charts should show X-axis now that they have controls
+    config.options.scales.x.display = true;
+    applyInteractionOptions(config.options, index.id);
+
+    config.data = {
+        labels: [],
+        datasets: [{
+            label: index.name,
+            data: [],
+            borderColor: '#2ebd85',
+            backgroundColor: 'rgba(46, 189, 133, 0.2)',
+            fill: true
+        }]
+    };
+
+    charts[index.id] = new Chart(ctx, config);
+    charts[index.id].$chartId = index.id;
 }
 
 // Update Single Index Data
+// Cached data (IndexedDB) is drawn right away; the network result replaces it.
+// A newer call for the same card cancels the older one so a slow response
+// can't overwrite a newer range. Errors end here (the card shows its load-failed
+// state), so callers may fire and forget.
 async function updateIndexData(index) {
-    const data = await fetchStockData(index.symbol, index.range, index.interval);
-    if (!data) return;
+    if (index.abortController) index.abortController.abort();
+    const controller = new AbortController();
+    index.abortController = controller;
+
+    let data = null;
+    try {
+        data = await fetchWithCache(index.symbol, index.range, index.interval, {
+            signal: controller.signal,
+            onCached: (cached) => {
+                // Only fill an empty card; never step back from newer data on screen
+                if (controller.signal.aborted) return;
+                if (index.lastDataKey !== chartCacheKey(index.symbol, index.range, index.interval)) renderIndexData(index, cached);
+            }
+        });
+    } catch (error) {
+        if (isAbortError(error)) return; // Superseded by a newer request
+        console.error(`Error loading ${index.symbol}:`, error);
+        data = null;
+    } finally {
+        if (index.abortController === controller) index.abortController = null;
+    }
 
+    if (!data) {
+        // Nothing cached and the fetch failed
+        if (!index.lastData) {
+            const elPrice = document.querySelector(`#${index.id}-price .current-price`);
+            if (elPrice) elPrice.textContent = t('card.loadFailed');
+        }
+        return;
+    }
+
+    index.lastRefreshed = Date.now();
+    renderIndexData(index, data);
+}
+
+function renderIndexData(index, data) {
     index.lastData = data; // Cache data for type toggling
+    index.lastDataKey = chartCacheKey(index.symbol, index.range, index.interval);
 
     const chart = charts[index.id];
     updateChartUI(chart, data, index.id, true, index.type); // id, showTimes=true, type
@@ -184,31 +242,28 @@ function updateChartUI(chart, data, elementIdPrefix, showTimes = true, currentTy
     const isPositive = currentPrice >= prevClose;
     const color = isPositive ? '#2ebd85' : '#f6465d';
 
-    // Format Labels (X-Axis)
-    const labels = timestamps.map(t => {
-        // Timestamps are UNIX UTC.
-        const d = new Date(t * 1000);
-
-        // Format based on range (approximate heuristic)
-        if (timestamps.length > 1) {
-            const timeSpan = timestamps[timestamps.length - 1] - timestamps[0];
+    // Time axis is drawn in the exchange's zone unless the user chose local time
+    const timeZone = getDisplayTimeZone(data);
 
-            // If range > 365 days (approx 31536000 seconds), show YYYY/MM
-            if (timeSpan > 31536000) {
-                return `${d.getFullYear()}/${(d.getMonth() + 1).toString().padStart(2, '0')}`;
-            }
-            // If range > 2 days, show MM/DD
-            else if (timeSpan > 86400 * 2) {
-                return `${(d.getMonth() + 1).toString().padStart(2, '0')}/${d.getDate().toString().padStart(2, '0')}`;
-            }
-        }
-        // Show HH:mm
-        return `${d.getHours().toString().padStart(2, '0')}:${d.getMinutes().toString().padStart(2, '0')}`;
-    });
+    // Format Labels (X-Axis)
+    const labels = formatTimeLabels(timestamps, timeZone);
 
     // Check if chart type matches desired type
     const isCandle = currentType === 'candlestick';
 
+    // Candlestick x values, shifted so the date adapter shows the display zone's wall clock
+    const xValues = isCandle ? toChartTimes(timestamps, timeZone) : null;
+
+    // Zoom/pan stays inside the loaded bars; a new range or type starts unzoomed
+    prepareChartView(chart, data, `${currentType}|${timeZone}|${timestamps[0]}`,
+        isCandle ? xValues[0] : 0,
+        isCandle ? xValues[xValues.length - 1] : labels.length - 1);
+
+    // Full date/time in the tooltip title, same zone for line and candlestick
+    chart.config.options.plugins.tooltip.callbacks = {
+        title: (items) => items.length ? formatTooltipTime(timestamps[items[0].dataIndex], timeZone, isIntradayData(timestamps)) : ''
+    };
+
     // Update Chart Config if needed
     if (chart.config.type !== currentType) {
         chart.config.type = currentType;
@@ -216,8 +271,8 @@ function updateChartUI(chart, data, elementIdPrefix, showTimes = true, currentTy
 
     if (isCandle) {
         // Prepare OHLC data
-        const ohlcData = data.ohlc.map(item => ({
-            x: item.time * 1000,
+        const ohlcData = data.ohlc.map((item, i) => ({
+            x: xValues[i],
             o: item.o,
             h: item.h,
             l: item.l,
@@ -227,8 +282,10 @@ function updateChartUI(chart, data, elementIdPrefix, showTimes = true, currentTy
         // Use 'time' scale for candlestick (requires date-fns adapter)
         chart.config.options.scales.x.type = 'time';
         chart.config.options.scales.x.time = {
-            unit: 'day', // Auto-adjusts usually, but good to have defaults
+            unit: getTimeScaleUnit(timestamps), // Same granularity as the line labels
             displayFormats: {
+                minute: 'HH:mm',
+                hour: 'HH:mm',
                 day: 'MM/dd',
                 month: 'yyyy/MM'
             }
@@ -251,6 +308,7 @@ function updateChartUI(chart, data, elementIdPrefix, showTimes = true, currentTy
         chart.data.datasets = [{
             label: elementIdPrefix === 'search' ? data.name : '',
             data: ohlcData,
+            order: 1,
             borderColor: '#555', // Wick color
             color: {
                 up: '#2ebd85',
@@ -261,7 +319,7 @@ function updateChartUI(chart, data, elementIdPrefix, showTimes = true, currentTy
             // Actually chartjs-chart-financial uses 'borderColor' for wicks, 
             // and background colors for body usually inferred or set via specific element options.
             // Let's try basic setup first.
-        }];
+        }, buildVolumeDataset(data, xValues), buildEventDataset(data, xValues)];
 
     } else {
         // Line Chart
@@ -273,6 +331,7 @@ function updateChartUI(chart, data, elementIdPrefix, showTimes = true, currentTy
         chart.data.datasets = [{
             label: elementIdPrefix === 'search' ? data.name : '',
             data: prices,
+            order: 1,
             borderColor: color,
             borderWidth: 2,
             pointRadius: 0,
@@ -285,27 +344,235 @@ function updateChartUI(chart, data, elementIdPrefix, showTimes = true, currentTy
                 gradient.addColorStop(1, isPositive ? 'rgba(46, 189, 133, 0)' : 'rgba(246, 70, 93, 0)');
                 return gradient;
             }
-        }];
+        }, buildVolumeDataset(data, xValues), buildEventDataset(data, xValues)];
+    }
+
+    // Backtest entry/exit markers for the data the last run used
+    if (elementIdPrefix === 'search') {
+        chart.data.datasets.push(...buildBacktestMarkerDatasets(data, xValues));
     }
 
+    // Technical indicator overlays and sub-panes (computed from the cached OHLC)
+    applyIndicators(chart, data, elementIdPrefix, xValues, labels);
+
+    // Keep volume bars in the bottom fifth of the chart
+    const maxVolume = Math.max(0, ...data.ohlc.map(item => item.v || 0));
+    chart.config.options.scales.volume.max = maxVolume > 0 ? maxVolume * 5 : 1;
+
     chart.update('none');
+    if (isChartZoomed(chart)) syncSubPaneRange(elementIdPrefix, chart);
 
     // Update Text Display
+    const currency = getChartCurrency(elementIdPrefix, data);
     if (elementIdPrefix === 'search') {
-        updateSearchPriceDisplay(currentPrice, prevClose);
+        updateSearchPriceDisplay(currentPrice, prevClose, currency);
+        updateStaleMarker(document.getElementById('search-price-info'), data);
     } else {
-        updatePriceDisplay(elementIdPrefix, currentPrice, prevClose);
+        updatePriceDisplay(elementIdPrefix, currentPrice, prevClose, currency);
+        updateStaleMarker(document.getElementById(`${elementIdPrefix}-price`), data);
     }
 }
 
+// Time Zone Display
+// 'exchange' renders times in the exchange's zone (meta.exchangeTimezoneName),
+// 'local' in the browser's zone. Shared by line labels, candlestick axes and tooltips.
+const TIME_ZONE_STORAGE_KEY = 'timeDisplayMode';
+let timeDisplayMode = localStorage.getItem(TIME_ZONE_STORAGE_KEY) || 'exchange';
+const zonedFormatters = {};
+
+// IANA zone to display `data` in; undefined = browser local time
+function getDisplayTimeZone(data) {
+    if (timeDisplayMode === 'local') return undefined;
+    return data.timeZone || undefined;
+}
+
+// Wall-clock parts of a UNIX timestamp (seconds) in a zone
+function zonedDateParts(seconds, timeZone) {
+    const key = timeZone || 'local';
+    if (!zonedFormatters[key]) {
+        zonedFormatters[key] = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+    const parts = {};
+    zonedFormatters[key].formatToParts(new Date(seconds * 1000)).forEach(part => { parts[part.type] = part.value; });
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute
+    };
+}
+
+// Time-scale x values (ms). The date-fns adapter always formats in browser-local
+// time, so each bar is shifted by the difference between the display zone and local.
+function toChartTimes(timestamps, timeZone) {
+    return timestamps.map(time => {
+        if (!timeZone) return time * 1000;
+        const p = zonedDateParts(time, timeZone);
+        const wallClock = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute));
+        const localOffset = -new Date(time * 1000).getTimezoneOffset() * 60000;
+        return wallClock - localOffset + (time * 1000) % 60000;
+    });
+}
+
+// Bars closer than a day apart are intraday
+function isIntradayData(timestamps) {
+    return timestamps.length > 1 && timestamps[1] - timestamps[0] < 86400;
+}
+
+function getTimeScaleUnit(timestamps) {
+    const timeSpan = timestamps.length > 1 ? timestamps[timestamps.length - 1] - timestamps[0] : 0;
+    if (timeSpan > 31536000) return 'month';
+    if (timeSpan > 86400 * 2) return 'day';
+    return 'hour';
+}
+
+function formatTooltipTime(seconds, timeZone, intraday) {
+    if (seconds === undefined) return '';
+    const p = zonedDateParts(seconds, timeZone);
+    const date = `${p.year}/${p.month}/${p.day}`;
+    return intraday ? `${date} ${p.hour}:${p.minute}` : date;
+}
+
+// Format X-Axis labels for category (line) charts
+function formatTimeLabels(timestamps, timeZone) {
+    return timestamps.map(time => {
+        // Timestamps are UNIX UTC; read them back in the display zone
+        const p = zonedDateParts(time, timeZone);
+
+        // Format based on range (approximate heuristic)
+        if (timestamps.length > 1) {
+            const timeSpan = timestamps[timestamps.length - 1] - timestamps[0];
+
+            // If range > 365 days (approx 31536000 seconds), show YYYY/MM
+            if (timeSpan > 31536000) {
+                return `${p.year}/${p.month}`;
+            }
+            // If range > 2 days, show MM/DD
+            else if (timeSpan > 86400 * 2) {
+                return `${p.month}/${p.day}`;
+            }
+        }
+        // Show HH:mm
+        return `${p.hour}:${p.minute}`;
+    });
+}
+
+// Re-render every chart after a display setting changes (no network)
+function redrawAllCharts() {
+    cards.forEach(card => redrawChart(card.id));
+    redrawChart('search');
+}
+
+function updateTimeZoneToggle() {
+    const btn = document.getElementById('timezone-toggle');
+    btn.textContent = t(timeDisplayMode === 'local' ? 'time.local' : 'time.exchange');
+    btn.title = t(timeDisplayMode === 'local' ? 'time.showExchange' : 'time.showLocal');
+}
+
+function toggleTimeDisplayMode() {
+    timeDisplayMode = timeDisplayMode === 'local' ? 'exchange' : 'local';
+    localStorage.setItem(TIME_ZONE_STORAGE_KEY, timeDisplayMode);
+    updateTimeZoneToggle();
+    redrawAllCharts();
+}
+
+// Volume Bars (secondary dataset on the hidden 'volume' axis)
+// xValues: candlestick time-scale x per bar, or null for the category (line) scale
+function buildVolumeDataset(data, xValues) {
+    const bars = data.ohlc.map((item, i) => xValues ? { x: xValues[i], y: item.v || 0 } : (item.v || 0));
+    const colors = data.ohlc.map(item => item.c >= item.o ? 'rgba(46, 189, 133, 0.35)' : 'rgba(246, 70, 93, 0.35)');
+
+    return {
+        type: 'bar',
+        label: t('chart.volume'),
+        data: bars,
+        yAxisID: 'volume',
+        order: 2, // Draw behind price
+        backgroundColor: colors,
+        borderWidth: 0,
+        tooltip: {
+            callbacks: {
+                label: (context) => `${t('chart.volume')}: ${formatNumber(data.ohlc[context.dataIndex].v || 0)}`
+            }
+        }
+    };
+}
+
+// Dividend/Split Markers
+// Each event is pinned to the bar it falls in, so the dataset stays index-aligned
+// with the price data and shows up in the shared 'index' tooltip.
+function buildEventDataset(data, xValues) {
+    const eventsByBar = {};
+    (data.events || []).forEach(event => {
+        let barIndex = -1;
+        for (let i = 0; i < data.ohlc.length && data.ohlc[i].time <= event.time; i++) {
+            barIndex = i;
+        }
+        if (barIndex < 0) return;
+        (eventsByBar[barIndex] = eventsByBar[barIndex] || []).push(event);
+    });
+
+    const points = data.ohlc.map((item, i) => {
+        const y = eventsByBar[i] ? 0 : null;
+        return xValues ? { x: xValues[i], y: y } : y;
+    });
+
+    return {
+        type: 'line',
+        label: t('chart.events'),
+        data: points,
+        yAxisID: 'volume',
+        order: 0,
+        showLine: false,
+        pointStyle: 'triangle',
+        pointRadius: (context) => eventsByBar[context.dataIndex] ? 6 : 0,
+        pointHoverRadius: 8,
+        pointBackgroundColor: (context) => {
+            const events = eventsByBar[context.dataIndex];
+            return events && events[0].type === 'split' ? '#f0b90b' : '#3b82f6';
+        },
+        borderWidth: 0,
+        tooltip: {
+            callbacks: {
+                label: (context) => (eventsByBar[context.dataIndex] || []).map(event => event.type === 'dividend'
+                    ? `${t('chart.dividend')}: ${event.amount}`
+                    : `${t('chart.split')}: ${event.ratio}`)
+            }
+        }
+    };
+}
+
 // Update All
+// Closed markets are only refreshed occasionally (see shouldRefreshCard)
 async function updateDashboard() {
-    for (const index of indices) {
-        await updateIndexData(index);
+    updateMarketStatus();
+
+    // Cards kept current by the quote stream only resync occasionally
+    await Promise.all(cards.filter(card => shouldRefreshCard(card) && !isCoveredByStream(card)).map(updateIndexData));
+    if (isAnyMarketActive()) {
+        await Promise.all([refreshPortfolio(), refreshHeatmap(), processPaperOrders()]);
     }
+    await evaluateAlerts();
+}
+
+// Currency a chart's prices are quoted in (meta.currency, see getSymbolCurrency);
+// null for indices and FX rates, which are levels rather than prices
+function getChartCurrency(chartId, data) {
+    const state = chartId === 'search' ? lastFetchedData : cards.find(c => c.id === chartId);
+    const symbol = state ? state.symbol : null;
+    return isTradableSymbol(symbol) ? getSymbolCurrency(symbol, data) : null;
 }
 
-function updatePriceDisplay(id, current, prevClose) {
+function updatePriceDisplay(id, current, prevClose, currency) {
     const elPrice = document.querySelector(`#${id}-price .current-price`);
     const elChange = document.querySelector(`#${id}-price .change-percent`);
 
@@ -315,7 +582,7 @@ function updatePriceDisplay(id, current, prevClose) {
     const percent = (diff / prevClose) * 100;
     const isPositive = diff >= 0;
 
-    elPrice.textContent = current.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    elPrice.textContent = formatMoney(current, currency);
     elPrice.className = `current-price ${isPositive ? 'text-up' : 'text-down'}`;
 
     const sign = isPositive ? '+' : '';
@@ -323,7 +590,7 @@ function updatePriceDisplay(id, current, prevClose) {
     elChange.className = `change-percent ${isPositive ? 'text-up' : 'text-down'}`;
 }
 
-function updateSearchPriceDisplay(current, prevClose) {
+function updateSearchPriceDisplay(current, prevClose, currency) {
     const elPrice = document.querySelector(`#search-price-info .current-price`);
     const elChange = document.querySelector(`#search-price-info .change-percent`);
 
@@ -333,7 +600,7 @@ function updateSearchPriceDisplay(current, prevClose) {
     const percent = (diff / prevClose) * 100;
     const isPositive = diff >= 0;
 
-    elPrice.textContent = current.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    elPrice.textContent = formatMoney(current, currency);
     elPrice.className = `current-price ${isPositive ? 'text-up' : 'text-down'}`;
 
     const sign = isPositive ? '+' : '';
@@ -343,7 +610,7 @@ function updateSearchPriceDisplay(current, prevClose) {
 
 function updateTime() {
     const now = new Date();
-    const timeString = now.toLocaleTimeString('ko-KR', { hour12: false });
+    const timeString = now.toLocaleTimeString(getLocale(), { hour12: false });
     document.getElementById('current-time').textContent = timeString;
 }
 
@@ -351,20 +618,12 @@ function updateTime() {
 let currentSearchSymbol = '';
 let currentChartType = 'candlestick'; // Default to candlestick
 let lastFetchedData = null; // Store data to avoid re-fetching on toggle
+let searchAbortController = null; // Cancels an outdated search fetch
 async function handleSearch(range = '5y', interval = '1mo', chartType = null) {
     const input = document.getElementById('stock-code');
     const exchangeSelect = document.getElementById('exchange-select');
     const suffix = exchangeSelect.value;
 
-    // Determine symbol to use
-    let symbol = input.value.trim().toUpperCase();
-
-    // If input is empty, OR if we are triggered by a button click (implied by range/chartType being set), 
-    // we should prefer the already searched symbol if available.
-    if (!symbol && currentSearchSymbol) {
-        symbol = currentSearchSymbol;
-    }
-
     // Update chart type if provided
     if (chartType) {
         currentChartType = chartType;
@@ -373,23 +632,15 @@ async function handleSearch(range = '5y', interval = '1mo', chartType = null) {
     const errorEl = document.getElementById('search-error');
     const resultSection = document.getElementById('search-result-section');
 
-    // Append suffix if selected and not already present logic
-    // Logic update: Only append suffix if we are taking value from input fresh.
-    // If we are using currentSearchSymbol, it arguably already has suffix.
-    // But currentSearchSymbol might be 'AAPL'.
-
-    // Let's refine:
-    // 1. If we have a valid currentSearchSymbol and (input is empty or input == currentSearchSymbol without suffix), use current.
-    // 2. Otherwise use input and append suffix.
-
-    // Current logic was:
-    if (suffix && !symbol.includes('.')) {
-        symbol += suffix;
+    // Determine symbols to try: ticker, KRX code or company name (see symbols.js).
+    // An empty input falls back to the already searched symbol (range/type buttons).
+    const query = input.value.trim();
+    let candidates = query ? await resolveSearchSymbols(query, suffix) : [];
+    if (!query && currentSearchSymbol) {
+        candidates = [currentSearchSymbol];
     }
 
-    if (!symbol) return; // Nothing to search
-
-    currentSearchSymbol = symbol; // Store for range updates
+    if (!query && candidates.length === 0) return; // Nothing to search
 
     // Reset UI
     errorEl.style.display = 'none';
@@ -403,38 +654,63 @@ async function handleSearch(range = '5y', interval = '1mo', chartType = null) {
     // 3. Range changed
     // 4. Interval changed
     const shouldFetchNewData = !(lastFetchedData &&
-        lastFetchedData.symbol === symbol &&
+        candidates.includes(lastFetchedData.symbol) &&
         lastFetchedData.range === range &&
         lastFetchedData.interval === interval);
 
     let data = null;
+    let symbol = shouldFetchNewData ? candidates[0] : lastFetchedData.symbol;
 
     if (shouldFetchNewData) {
-        searchBtn.textContent = '검색 중...';
+        if (searchAbortController) searchAbortController.abort();
+        const controller = new AbortController();
+        searchAbortController = controller;
+
+        searchBtn.textContent = t('search.searching');
         searchBtn.disabled = true;
         try {
-            data = await fetchStockData(symbol, range, interval);
+            // Six-digit KRX codes may resolve to both .KS and .KQ; take the first that has data
+            for (const candidate of candidates) {
+                data = await fetchWithCache(candidate, range, interval, { signal: controller.signal });
+                if (data && data.prices.length > 0) {
+                    symbol = candidate;
+                    break;
+                }
+            }
 
             if (!data || data.prices.length === 0) {
-                throw new Error('데이터를 찾을 수 없습니다.');
+                throw new Error(t('search.noData'));
             }
 
             lastFetchedData = { ...data, symbol, range, interval }; // Cache
         } catch (error) {
-            errorEl.textContent = '종목을 찾을 수 없거나 데이터를 불러올 수 없습니다. 코드를 확인해주세요.';
+            if (isAbortError(error)) return; // A newer search took over
+            errorEl.textContent = t('search.notFound');
             errorEl.style.display = 'block';
             resultSection.style.display = 'none';
-            searchBtn.textContent = '검색';
+            searchBtn.textContent = t('search.button');
             searchBtn.disabled = false;
             return; // Exit if fetch failed
         } finally {
-            searchBtn.textContent = '검색';
-            searchBtn.disabled = false;
+            if (searchAbortController === controller) {
+                searchAbortController = null;
+                searchBtn.textContent = t('search.button');
+                searchBtn.disabled = false;
+            }
         }
     } else {
         data = lastFetchedData; // Use cached data
     }
 
+    currentSearchSymbol = symbol; // Store for range updates
+    loadFundamentals(symbol); // Runs alongside the chart render
+    updateOrderTicket(symbol);
+    updateBacktestPanel(symbol);
+    updateStreamSubscriptions();
+
+    // Show the resolved symbol so later range/type clicks don't re-resolve a name
+    input.value = symbol;
+    exchangeSelect.value = getSymbolSuffix(symbol);
 
     // Show result section
     resultSection.style.display = 'block';
@@ -448,16 +724,57 @@ async function handleSearch(range = '5y', interval = '1mo', chartType = null) {
         const ctx = document.getElementById('searchChart').getContext('2d');
         const config = JSON.parse(JSON.stringify(chartConfig));
         config.options.scales.x.display = true;
+        applyInteractionOptions(config.options, 'search');
         config.data = { labels: [], datasets: [] };
         charts['searchResult'] = new Chart(ctx, config);
+        charts['searchResult'].$chartId = 'search';
     }
 
-    // Update Chart and Price
-    updateChartUI(charts['searchResult'], data, 'search', true, currentChartType);
+    // Update Chart and Price (lastFetchedData carries symbol/range/interval)
+    setActiveRangeButtons(getControlsWrapper('search'), lastFetchedData.range, lastFetchedData.interval);
+    renderSearchChart(lastFetchedData);
+    updateSessionBadges();
+}
+
+// Draw the search result as a normal price chart, or as a normalized comparison
+// when compare symbols are set (compare.js)
+function renderSearchChart(data) {
+    const chart = charts['searchResult'];
+    if (isCompareMode()) {
+        renderCompareChart(chart, data, data.symbol, data.range, data.interval);
+        return;
+    }
+    resetCompareOptions(chart);
+    renderCompareChips();
+    updateChartUI(chart, data, 'search', true, currentChartType);
+    syncUrlState();
+}
+
+// Re-render a chart from its cached data (no network)
+function redrawChart(chartId) {
+    if (chartId === 'search') {
+        if (lastFetchedData && charts['searchResult']) {
+            renderSearchChart(lastFetchedData);
+        }
+        return;
+    }
+    const index = cards.find(i => i.id === chartId);
+    if (index && index.lastData && charts[chartId]) {
+        updateChartUI(charts[chartId], index.lastData, chartId, true, index.type);
+    }
 }
 
 // General Chart Update Handler
 async function handleChartUpdate(chartId, range, interval, type) {
+    // Reject spans Yahoo can't serve at this interval instead of drawing an empty chart
+    const rangeError = range ? validateRangeSelection(range, interval) : '';
+    if (rangeError) {
+        showToast(rangeError);
+        return;
+    }
+    // Only a valid selection moves the highlight off the range on screen
+    if (range) setActiveRangeButtons(getControlsWrapper(chartId), range, interval);
+
     // Find the state object or handle search result
     let targetState = null;
     let symbol = '';
@@ -466,10 +783,9 @@ async function handleChartUpdate(chartId, range, interval, type) {
         // Search result handling: If range is not provided (type toggle), use existing
         const nextRange = range || (lastFetchedData ? lastFetchedData.range : undefined);
         const nextInterval = interval || (lastFetchedData ? lastFetchedData.interval : undefined);
-        handleSearch(nextRange, nextInterval, type);
-        return;
+        return handleSearch(nextRange, nextInterval, type);
     } else {
-        targetState = indices.find(i => i.id === chartId);
+        targetState = cards.find(i => i.id === chartId);
         if (targetState) {
             // Update state
             if (range) {
@@ -479,6 +795,7 @@ async function handleChartUpdate(chartId, range, interval, type) {
             if (type) {
                 targetState.type = type;
             }
+            syncUrlState();
             symbol = targetState.symbol;
         } else {
             return;
@@ -494,30 +811,100 @@ async function handleChartUpdate(chartId, range, interval, type) {
     // But good UI practice.
 
     // For dashboard items, reuse cache if only type changed
-    let data;
-    if (range) {
-        // Range changed, fetch new data
-        data = await fetchStockData(symbol, targetState.range, targetState.interval);
-        if (data) targetState.lastData = data;
-    } else if (targetState.lastData) {
+    if (range || (!targetState.lastData && !targetState.abortController)) {
+        // Range changed (or nothing loaded or loading yet): cache first, then network
+        await updateIndexData(targetState);
+    } else if (targetState.lastData && charts[chartId]) {
         // Only type changed, use cached data
-        data = targetState.lastData;
-    } else {
-        // Fallback (e.g. first load if not ready)
-        data = await fetchStockData(symbol, targetState.range, targetState.interval);
-        if (data) targetState.lastData = data;
+        updateChartUI(charts[chartId], targetState.lastData, chartId, true, targetState.type);
     }
+}
 
-    if (data && charts[chartId]) {
-        updateChartUI(charts[chartId], data, chartId, true, targetState.type);
-    }
+// Build a dashboard card from its layout entry
+function createCardElement(card) {
+    const el = document.createElement('div');
+    el.className = `card market-card${card.size === '2x1' ? ' card-wide' : ''}`;
+    el.dataset.cardId = card.id;
+
+    const rangeButtons = rangeOptions.map(option => `
+                <button class="range-btn${option.range === card.range ? ' active' : ''}" data-range="${option.range}" data-interval="${option.interval}">${option.label}</button>`).join('');
+
+    el.innerHTML = `
+        <div class="card-header">
+            <div class="symbol-info">
+                <h2></h2>
+                <span class="region"></span>
+            </div>
+            <div class="price-info" id="${card.id}-price">
+                <span class="current-price">${t('card.loading')}</span>
+                <span class="change-percent">--%</span>
+            </div>
+            <button class="card-remove-btn" data-card-id="${card.id}" title="${t('card.remove')}">&times;</button>
+        </div>
+        <div class="chart-controls-wrapper" data-index-id="${card.id}">
+            <div class="chart-controls">${rangeButtons}
+            </div>
+            <div class="type-controls">
+                <button class="type-btn${card.type === 'line' ? ' active' : ''}" data-type="line">${t('chart.line')}</button>
+                <button class="type-btn${card.type === 'candlestick' ? ' active' : ''}" data-type="candlestick">${t('chart.candle')}</button>
+            </div>
+        </div>
+        <div class="chart-container">
+            <canvas id="${card.id}Chart"></canvas>
+        </div>`;
+
+    // Names come from the API, so set them as text
+    el.querySelector('.symbol-info h2').textContent = card.name;
+    el.querySelector('.symbol-info .region').textContent = card.region || card.symbol;
+    el.querySelector('.card-header').before(createCardLayoutBar(card));
+    el.querySelector('.chart-controls').after(createRangePicker());
+    el.querySelector('.chart-controls-wrapper').append(createIndicatorMenu(), createChartTools());
+    setActiveRangeButtons(el.querySelector('.chart-controls-wrapper'), card.range, card.interval);
+    return el;
 }
 
+// Add the current search result to the dashboard as a card
+function addSearchToWatchlist() {
+    if (!currentSearchSymbol || !lastFetchedData) return;
+
+    const existing = cards.find(card => card.symbol === currentSearchSymbol);
+    if (existing) {
+        getCardElement(existing.id).scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return;
+    }
+
+    // Reuse the data we already have for the search result
+    const el = addLayoutCard({
+        symbol: currentSearchSymbol,
+        name: lastFetchedData.name,
+        range: lastFetchedData.range,
+        interval: lastFetchedData.interval,
+        type: currentChartType
+    }, lastFetchedData);
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
 
 // Start
 document.addEventListener('DOMContentLoaded', () => {
-    initCharts();
+    initLanguage(); // Static markup first, before anything reads it
+    initSymbolAutocomplete();
+    initCompareControls();
+    initPortfolio();
+    initPaperTrading();
+    initBacktest();
+    initHeatmap();
+    initAlerts();
+    initDashboardLayout();
+    initRangePickers();
+    initIndicatorMenus();
+    initChartTools();
+    initUrlState(); // Before initCharts so linked card ranges load directly
+    // The heatmap queues a few dozen fetches; let the cards go first on a cold load
+    initCharts().finally(refreshHeatmap);
+    initStreaming();
+    registerServiceWorker();
     updateTime(); // Ensure global usage if needed
+    updateMarketStatus();
 
     // Event Listeners for Search Button/Enter handled in handleSearch area (preserved below)
     document.getElementById('search-btn').addEventListener('click', () => handleSearch('5y', '1mo'));
@@ -525,22 +912,68 @@ document.addEventListener('DOMContentLoaded', () => {
         if (e.key === 'Enter') handleSearch('5y', '1mo');
     });
 
+    document.getElementById('watchlist-add-btn').addEventListener('click', addSearchToWatchlist);
+    document.getElementById('timezone-toggle').addEventListener('click', toggleTimeDisplayMode);
+    updateTimeZoneToggle();
+
     // Delegated Event Listeners for All Chart Controls
     document.body.addEventListener('click', (e) => {
+        // Card Remove Buttons
+        if (e.target.classList.contains('card-remove-btn') && e.target.dataset.cardId) {
+            removeLayoutCard(e.target.dataset.cardId);
+            return;
+        }
+
+        // Export Menu (CSV / JSON / PNG)
+        if (e.target.classList.contains('export-btn')) {
+            const wrapper = e.target.closest('.chart-controls-wrapper');
+            let id = wrapper.dataset.indexId;
+            if (!id && wrapper.closest('#search-result-section')) {
+                id = 'search';
+            }
+            handleExportClick(e.target, id);
+            return;
+        }
+
+        // Measure / Zoom Reset Buttons
+        if (e.target.classList.contains('tool-btn')) {
+            const wrapper = e.target.closest('.chart-controls-wrapper');
+            let id = wrapper.dataset.indexId;
+            if (!id && wrapper.closest('#search-result-section')) {
+                id = 'search';
+            }
+            handleChartToolClick(e.target, id);
+            return;
+        }
+
+        // Range Picker Apply
+        if (e.target.classList.contains('range-apply-btn')) {
+            const picker = e.target.closest('.range-picker');
+            const selection = readRangePickerSelection(picker);
+            if (!selection) return; // Error shown in the picker
+
+            const wrapper = picker.closest('.chart-controls-wrapper');
+            let id = wrapper.dataset.indexId;
+            if (!id && wrapper.closest('#search-result-section')) {
+                id = 'search';
+            }
+
+            picker.open = false;
+            handleChartUpdate(id, selection.range, selection.interval, null);
+            return;
+        }
+
         // Range Buttons
         if (e.target.classList.contains('range-btn')) {
             const btn = e.target;
             const wrapper = btn.closest('.chart-controls-wrapper');
             if (!wrapper) return;
 
-            // Visual Update
-            const siblings = wrapper.querySelectorAll('.range-btn');
-            siblings.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-
             // Data Update
             const range = btn.dataset.range;
             const interval = btn.dataset.interval;
+
+            // Visual update happens in handleChartUpdate once the range is validated
             const indexId = wrapper.dataset.indexId || 'search'; // Default to search if not spec
 
             // For Search Result, we need to pass current type as well or handle it inside handleSearch
@@ -562,14 +995,14 @@ document.addEventListener('DOMContentLoaded', () => {
             handleChartUpdate(id, range, interval, null); // type null = keep current
         }
 
-        // Type Buttons
-        if (e.target.classList.contains('type-btn')) {
+        // Type Buttons (other controls share the look, e.g. the indicator menu summary)
+        if (e.target.classList.contains('type-btn') && e.target.dataset.type) {
             const btn = e.target;
             const wrapper = btn.closest('.chart-controls-wrapper');
             if (!wrapper) return;
 
             // Visual Update
-            const siblings = wrapper.querySelectorAll('.type-btn');
+            const siblings = wrapper.querySelectorAll('.type-btn[data-type]');
             siblings.forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
 
@@ -584,6 +1017,45 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Range Picker: load the chart's current selection when opened
+    // ('toggle' doesn't bubble, so listen in the capture phase)
+    document.body.addEventListener('toggle', (e) => {
+        if (!e.target.classList.contains('range-picker') || !e.target.open) return;
+
+        const wrapper = e.target.closest('.chart-controls-wrapper');
+        let id = wrapper.dataset.indexId;
+        if (!id && wrapper.closest('#search-result-section')) {
+            id = 'search';
+        }
+
+        const state = id === 'search' ? lastFetchedData : cards.find(c => c.id === id);
+        syncRangePicker(e.target, state ? state.range : '1y', state ? state.interval : '1d');
+    }, true);
+
+    // Range Picker Inputs: only offer intervals valid for the chosen span
+    document.body.addEventListener('change', (e) => {
+        const picker = e.target.closest('.range-picker');
+        if (picker && !e.target.classList.contains('range-interval')) {
+            refreshPickerIntervals(picker);
+        }
+    });
+
+    // Indicator Menu Inputs (toggle / period change)
+    document.body.addEventListener('change', (e) => {
+        const menu = e.target.closest('.indicator-menu');
+        if (!menu || !e.target.dataset.indicator) return;
+
+        const wrapper = menu.closest('.chart-controls-wrapper');
+        let id = wrapper.dataset.indexId;
+        if (!id && wrapper.closest('#search-result-section')) {
+            id = 'search';
+        }
+
+        if (handleIndicatorInput(e.target, id)) {
+            redrawChart(id);
+        }
+    });
+
     // Updates
     setInterval(updateDashboard, 60000); // 60s
     setInterval(updateTime, 1000); // 1s
@@ -0,0 +1,324 @@
+// Streaming Quotes
+// Last-price updates between the minute polls, from our relay or a local mock
+// server (marketDataConfig.stream.url). Each message is JSON, one quote or an array:
+//   { "symbol": "005930.KS", "price": 70100, "time": 1718000000, "volume": 120 }
+// time is Unix seconds (defaults to now), volume the traded size since the last
+// message (optional). Over WebSocket the page sends
+//   { "type": "subscribe" | "unsubscribe", "symbols": [...] }
+// as the watched set changes; an EventSource is reopened with the new {symbols}.
+//
+// Quotes update the price displays and the latest bar in place (a new intraday bar
+// is appended once the interval rolls over; a quote from a later day/week/month
+// than the last daily-or-longer bar leaves the bars alone and the card is refetched
+// on the next poll). While the stream is live, cards it covers skip the minute poll
+// except for a periodic resync; when it drops we reconnect with backoff and, after
+// repeated failures, fall back to polling.
+const STREAM_MAX_ATTEMPTS = 6; // Consecutive failures before falling back to polling
+const STREAM_MIN_RETRY_MS = 1000;
+const STREAM_FALLBACK_RETRY_MS = 5 * 60 * 1000; // Try the stream again after this
+const STREAM_RESYNC_MS = 10 * 60 * 1000; // Full refetch for streamed cards at most this often
+
+const streamStateLabels = {
+    connecting: t('stream.connecting'),
+    live: t('stream.live'),
+    retrying: t('stream.retrying'),
+    fallback: t('stream.fallback')
+};
+
+let streamSource = null; // WebSocket or EventSource
+let streamState = 'off'; // 'off' | 'connecting' | 'live' | 'retrying' | 'fallback'
+let streamAttempt = 0;
+let streamRetryTimer = null;
+let streamSymbols = [];
+const streamDirtyCharts = new Set(); // Chart ids waiting for the next frame
+
+function getStreamUrl() {
+    return new URLSearchParams(window.location.search).get('stream') || marketDataConfig.stream.url;
+}
+
+function getStreamSymbols() {
+    const symbols = cards.map(card => card.symbol);
+    if (currentSearchSymbol) symbols.push(currentSearchSymbol);
+    return [...new Set(symbols)].sort();
+}
+
+function setStreamState(state) {
+    streamState = state;
+    const el = document.getElementById('stream-status');
+    el.hidden = state === 'off';
+    el.className = `stream-status stream-${state}`;
+    el.textContent = streamStateLabels[state] || '';
+}
+
+// Connection
+function connectStream() {
+    clearTimeout(streamRetryTimer);
+    const url = getStreamUrl();
+    if (!url) {
+        setStreamState('off');
+        return;
+    }
+
+    streamSymbols = getStreamSymbols();
+    setStreamState(streamAttempt > 0 ? 'retrying' : 'connecting');
+
+    let source;
+    const handleOpen = () => {
+        streamAttempt = 0;
+        setStreamState('live');
+        if (source instanceof WebSocket) {
+            source.send(JSON.stringify({ type: 'subscribe', symbols: streamSymbols }));
+        }
+    };
+    const handleMessage = (e) => handleStreamMessage(e.data);
+
+    try {
+        if (/^wss?:/i.test(url)) {
+            source = new WebSocket(url);
+            source.onclose = () => handleStreamDrop(source);
+        } else {
+            source = new EventSource(url.replace('{symbols}', encodeURIComponent(streamSymbols.join(','))));
+            // EventSource retries on its own at a fixed pace; use our backoff instead
+            source.onerror = () => {
+                source.close();
+                handleStreamDrop(source);
+            };
+        }
+    } catch (error) {
+        console.error('Error opening quote stream:', error);
+        streamSource = null;
+        handleStreamDrop(null);
+        return;
+    }
+    source.onopen = handleOpen;
+    source.onmessage = handleMessage;
+    streamSource = source;
+}
+
+function closeStream() {
+    const source = streamSource;
+    streamSource = null; // Mark the close as intentional before it fires
+    if (source) source.close();
+}
+
+function handleStreamDrop(source) {
+    if (source !== streamSource) return; // Replaced on purpose
+    streamSource = null;
+    streamAttempt++;
+
+    if (streamAttempt >= STREAM_MAX_ATTEMPTS) {
+        setStreamState('fallback');
+        streamRetryTimer = setTimeout(() => {
+            streamAttempt = 0;
+            connectStream();
+        }, STREAM_FALLBACK_RETRY_MS);
+        return;
+    }
+    setStreamState('retrying');
+    streamRetryTimer = setTimeout(connectStream, STREAM_MIN_RETRY_MS + backoffDelay(streamAttempt));
+}
+
+// Follow the watched symbols (cards + search result)
+function updateStreamSubscriptions() {
+    if (!getStreamUrl()) return;
+    const symbols = getStreamSymbols();
+    if (symbols.join(',') === streamSymbols.join(',')) return;
+
+    if (streamSource instanceof WebSocket && streamSource.readyState === WebSocket.OPEN) {
+        const added = symbols.filter(s => !streamSymbols.includes(s));
+        const removed = streamSymbols.filter(s => !symbols.includes(s));
+        if (added.length) streamSource.send(JSON.stringify({ type: 'subscribe', symbols: added }));
+        if (removed.length) streamSource.send(JSON.stringify({ type: 'unsubscribe', symbols: removed }));
+        streamSymbols = symbols;
+    } else if (streamSource) {
+        closeStream();
+        connectStream();
+    } else {
+        streamSymbols = symbols; // Picked up on the next connect
+    }
+}
+
+// Cards the stream keeps current don't need the minute poll
+function isCoveredByStream(card) {
+    return streamState === 'live' &&
+        streamSymbols.includes(card.symbol) &&
+        Boolean(card.lastRefreshed) &&
+        Date.now() - card.lastRefreshed < STREAM_RESYNC_MS;
+}
+
+// Messages
+function handleStreamMessage(raw) {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        return;
+    }
+
+    (Array.isArray(message) ? message : [message]).forEach(quote => {
+        const price = Number(quote && quote.price);
+        if (!quote || typeof quote.symbol !== 'string' || !(price > 0)) return;
+
+        let time = Number(quote.time) || Math.floor(Date.now() / 1000);
+        if (time > 1e12) time = Math.floor(time / 1000); // Milliseconds
+        applyStreamQuote({ symbol: quote.symbol, price, time, volume: Number(quote.volume) || 0 });
+    });
+}
+
+function applyStreamQuote(quote) {
+    // One chart data object can back several charts (e.g. a card added from the
+    // search result), so update each object once and each chart once
+    const updates = new Map(); // data -> result of applyQuoteToData
+
+    const applyOnce = (data, range, interval) => {
+        if (!updates.has(data)) updates.set(data, applyQuoteToData(data, quote, range, interval));
+        return updates.get(data);
+    };
+
+    cards.forEach(card => {
+        if (card.symbol !== quote.symbol || !card.lastData) return;
+        const action = applyOnce(card.lastData, card.range, card.interval);
+        if (action === 'rollover') card.lastRefreshed = null; // Let the next poll bring the new bar
+        updatePriceDisplay(card.id, quote.price, card.lastData.prevClose, getChartCurrency(card.id, card.lastData));
+        updateStaleMarker(document.getElementById(`${card.id}-price`), card.lastData);
+        if (action === 'update' || action === 'append') syncChartLastBar(card.id, card.lastData, action);
+    });
+
+    if (currentSearchSymbol === quote.symbol && lastFetchedData && lastFetchedData.symbol === quote.symbol) {
+        const action = applyOnce(lastFetchedData, lastFetchedData.range, lastFetchedData.interval);
+        if (isCompareMode()) return; // Rebased percent lines; the next refetch redraws them
+        updateSearchPriceDisplay(quote.price, lastFetchedData.prevClose, getChartCurrency('search', lastFetchedData));
+        updateStaleMarker(document.getElementById('search-price-info'), lastFetchedData);
+        if (action === 'update' || action === 'append') syncChartLastBar('search', lastFetchedData, action);
+    }
+}
+
+// Whether a quote falls in a later daily-or-longer bar than `last`, judged by the
+// exchange's calendar (bar times are session starts in that zone)
+function isNewLongBar(last, quoteTime, interval, barSeconds, timeZone) {
+    const a = zonedDateParts(last.time, timeZone);
+    const b = zonedDateParts(quoteTime, timeZone);
+    const months = (Number(b.year) - Number(a.year)) * 12 + (Number(b.month) - Number(a.month));
+    if (interval === '1mo') return months >= 1;
+    if (interval === '3mo') return months >= 3;
+    if (interval === '1d') return months > 0 || Number(b.day) !== Number(a.day);
+    return quoteTime >= last.time + barSeconds; // 5d, 1wk
+}
+
+// Fold a quote into the bars: extends the last bar, or appends one when an
+// intraday interval has rolled over. Daily and longer bars only extend within
+// their period; a quote from a later one returns 'rollover' without touching the
+// bars, and the next poll brings the new bar. Returns 'update', 'append',
+// 'rollover' or null.
+function applyQuoteToData(data, quote, range, interval) {
+    data.currentPrice = quote.price;
+    data.stale = false;
+    if (data.ohlc.length === 0) return null;
+
+    // Custom ranges that ended in the past stay as they are
+    const custom = parseCustomRange(range);
+    if (custom && custom.period2 <= quote.time) return null;
+
+    // Cached data objects may share arrays; take private copies before editing
+    if (!data.$streamOwned) {
+        data.ohlc = data.ohlc.map(bar => ({ ...bar }));
+        data.prices = data.ohlc.map(bar => bar.c);
+        data.timestamps = data.ohlc.map(bar => bar.time);
+        data.$streamOwned = true;
+    }
+
+    const lastIndex = data.ohlc.length - 1;
+    const last = data.ohlc[lastIndex];
+    if (quote.time < last.time) return null;
+
+    const option = intervalOptions.find(o => o.interval === interval);
+    const barSeconds = option ? option.days * 86400 : null;
+    if (!barSeconds) return null;
+    if (barSeconds >= 86400 && isNewLongBar(last, quote.time, interval, barSeconds, data.timeZone || undefined)) {
+        return 'rollover';
+    }
+    if (barSeconds < 86400 && quote.time >= last.time + barSeconds) {
+        const start = last.time + Math.floor((quote.time - last.time) / barSeconds) * barSeconds;
+        data.ohlc.push({ time: start, o: quote.price, h: quote.price, l: quote.price, c: quote.price, v: quote.volume });
+        data.prices.push(quote.price);
+        data.timestamps.push(start);
+        data.lastUpdated = start;
+        return 'append';
+    }
+
+    last.h = Math.max(last.h, quote.price);
+    last.l = Math.min(last.l, quote.price);
+    last.c = quote.price;
+    if (quote.volume) last.v = (last.v || 0) + quote.volume;
+    data.prices[lastIndex] = quote.price;
+    return 'update';
+}
+
+// Mirror the data's last bar into the chart's price/volume datasets without
+// rebuilding them. Overlays (indicators, markers) catch up on the next full render.
+function syncChartLastBar(chartId, data, action) {
+    const chart = getChartInstance(chartId);
+    if (!chart || chart.$stockData !== data || chart.data.datasets.length === 0) return;
+
+    const isCandle = chart.config.type === 'candlestick';
+    const timeZone = getDisplayTimeZone(data);
+    const bar = data.ohlc[data.ohlc.length - 1];
+    const priceDataset = chart.data.datasets[0];
+    const volumeDataset = chart.data.datasets.find(ds => ds.yAxisID === 'volume' && ds.type === 'bar');
+    const eventDataset = chart.data.datasets.find(ds => ds.yAxisID === 'volume' && ds.type === 'line');
+
+    const x = isCandle
+        ? (action === 'append' ? toChartTimes([bar.time], timeZone)[0] : priceDataset.data[priceDataset.data.length - 1].x)
+        : null;
+    const setLast = (values, value) => {
+        if (action === 'append') values.push(value);
+        else values[values.length - 1] = value;
+    };
+
+    if (isCandle) {
+        setLast(priceDataset.data, { x, o: bar.o, h: bar.h, l: bar.l, c: bar.c });
+    } else {
+        priceDataset.data = data.prices;
+        if (action === 'append') chart.data.labels = formatTimeLabels(data.timestamps, timeZone);
+    }
+    if (volumeDataset) {
+        setLast(volumeDataset.data, isCandle ? { x, y: bar.v || 0 } : (bar.v || 0));
+        setLast(volumeDataset.backgroundColor, bar.c >= bar.o ? 'rgba(46, 189, 133, 0.35)' : 'rgba(246, 70, 93, 0.35)');
+    }
+    if (eventDataset && action === 'append') {
+        eventDataset.data.push(isCandle ? { x, y: null } : null);
+    }
+
+    // Let zoom/pan reach the new bar
+    const zoom = chart.config.options.plugins.zoom;
+    if (zoom && action === 'append') zoom.limits.x.max = isCandle ? x : chart.data.labels.length - 1;
+
+    scheduleStreamRender(chartId);
+}
+
+// Quotes can arrive many times a second; draw at most once per frame
+function scheduleStreamRender(chartId) {
+    if (streamDirtyCharts.size === 0) requestAnimationFrame(flushStreamRender);
+    streamDirtyCharts.add(chartId);
+}
+
+function flushStreamRender() {
+    streamDirtyCharts.forEach(chartId => {
+        const chart = getChartInstance(chartId);
+        if (!chart) return;
+        chart.update('none');
+        if (isChartZoomed(chart)) syncSubPaneRange(chartId, chart);
+    });
+    streamDirtyCharts.clear();
+}
+
+function initStreaming() {
+    connectStream();
+    // Reconnect promptly when the network comes back instead of waiting out the backoff
+    window.addEventListener('online', () => {
+        if (!streamSource && getStreamUrl()) {
+            streamAttempt = 0;
+            connectStream();
+        }
+    });
+}
@@ -0,0 +1,53 @@
+// App Shell Service Worker
+// Keeps the page, scripts, styles and CDN libraries in cache so the app opens
+// offline. Market data is not handled here; it is cached in IndexedDB (cache.js).
+// Our own files are fetched network-first: the scripts share globals, so a cached
+// copy of one mixed with a newer other breaks the page. CDN libraries are served
+// from cache first and refreshed in the background, so index.html must load them
+// at exact versions (e.g. chart.js@4.5.1) for a cached copy to stay consistent.
+// Per release, bump SHELL_CACHE (drops the old copies) and the ?v= of the
+// scripts and styles in index.html, backtest.js and backtest-worker.js.
+const SHELL_CACHE = 'invest-shell-v3';
+const SHELL_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(['./', 'index.html'])));
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys().then(keys => Promise.all(
+        keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))
+    )));
+    self.clients.claim();
+});
+
+function isShellRequest(request) {
+    if (request.method !== 'GET') return false;
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        // Local fixture data goes through the data layer, not the shell cache
+        return !url.pathname.includes('/fixtures/');
+    }
+    return SHELL_HOSTS.includes(url.hostname);
+}
+
+// Same origin: network first, cache when offline. CDN: stale-while-revalidate,
+// answering from cache and refreshing the copy in the background.
+self.addEventListener('fetch', (event) => {
+    if (!isShellRequest(event.request)) return;
+    const sameOrigin = new URL(event.request.url).origin === self.location.origin;
+
+    event.respondWith(caches.open(SHELL_CACHE).then(async (cache) => {
+        // Deep links (?symbol=...) all open the same cached page
+        const cached = await cache.match(event.request, { ignoreSearch: event.request.mode === 'navigate' });
+        const network = fetch(event.request).then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(event.request, response.clone());
+            }
+            return response;
+        }).catch(() => cached || Response.error());
+
+        return sameOrigin ? network : (cached || network);
+    }));
+});
@@ -0,0 +1,276 @@
+// Symbol Master
+// Local list used by the autocomplete and to resolve Korean/English names to tickers.
+// Remote lookup (searchSymbolsRemote in providers.js) fills in anything missing.
+const symbolMaster = [
+    // Indices
+    { symbol: '^KS11', ko: '코스피', en: 'KOSPI Composite' },
+    { symbol: '^KQ11', ko: '코스닥', en: 'KOSDAQ Composite' },
+    { symbol: '^IXIC', ko: '나스닥', en: 'NASDAQ Composite' },
+    { symbol: '^GSPC', ko: 'S&P 500', en: 'S&P 500' },
+    { symbol: '^DJI', ko: '다우존스', en: 'Dow Jones Industrial Average' },
+
+    // KOSPI
+    { symbol: '005930.KS', ko: '삼성전자', en: 'Samsung Electronics' },
+    { symbol: '000660.KS', ko: 'SK하이닉스', en: 'SK Hynix' },
+    { symbol: '373220.KS', ko: 'LG에너지솔루션', en: 'LG Energy Solution' },
+    { symbol: '207940.KS', ko: '삼성바이오로직스', en: 'Samsung Biologics' },
+    { symbol: '005380.KS', ko: '현대차', en: 'Hyundai Motor' },
+    { symbol: '000270.KS', ko: '기아', en: 'Kia' },
+    { symbol: '005490.KS', ko: 'POSCO홀딩스', en: 'POSCO Holdings' },
+    { symbol: '035420.KS', ko: '네이버', en: 'NAVER' },
+    { symbol: '035720.KS', ko: '카카오', en: 'Kakao' },
+    { symbol: '051910.KS', ko: 'LG화학', en: 'LG Chem' },
+    { symbol: '006400.KS', ko: '삼성SDI', en: 'Samsung SDI' },
+    { symbol: '068270.KS', ko: '셀트리온', en: 'Celltrion' },
+    { symbol: '105560.KS', ko: 'KB금융', en: 'KB Financial Group' },
+    { symbol: '055550.KS', ko: '신한지주', en: 'Shinhan Financial Group' },
+    { symbol: '012330.KS', ko: '현대모비스', en: 'Hyundai Mobis' },
+    { symbol: '066570.KS', ko: 'LG전자', en: 'LG Electronics' },
+    { symbol: '028260.KS', ko: '삼성물산', en: 'Samsung C&T' },
+    { symbol: '003550.KS', ko: 'LG', en: 'LG Corp' },
+    { symbol: '017670.KS', ko: 'SK텔레콤', en: 'SK Telecom' },
+    { symbol: '030200.KS', ko: 'KT', en: 'KT Corp' },
+    { symbol: '015760.KS', ko: '한국전력', en: 'Korea Electric Power' },
+    { symbol: '096770.KS', ko: 'SK이노베이션', en: 'SK Innovation' },
+    { symbol: '323410.KS', ko: '카카오뱅크', en: 'KakaoBank' },
+    { symbol: '259960.KS', ko: '크래프톤', en: 'Krafton' },
+    { symbol: '012450.KS', ko: '한화에어로스페이스', en: 'Hanwha Aerospace' },
+    { symbol: '329180.KS', ko: 'HD현대중공업', en: 'HD Hyundai Heavy Industries' },
+
+    // KOSDAQ
+    { symbol: '247540.KQ', ko: '에코프로비엠', en: 'EcoPro BM' },
+    { symbol: '086520.KQ', ko: '에코프로', en: 'EcoPro' },
+    { symbol: '196170.KQ', ko: '알테오젠', en: 'Alteogen' },
+    { symbol: '028300.KQ', ko: 'HLB', en: 'HLB' },
+    { symbol: '263750.KQ', ko: '펄어비스', en: 'Pearl Abyss' },
+    { symbol: '293490.KQ', ko: '카카오게임즈', en: 'Kakao Games' },
+    { symbol: '035900.KQ', ko: 'JYP Ent.', en: 'JYP Entertainment' },
+    { symbol: '041510.KQ', ko: '에스엠', en: 'SM Entertainment' },
+
+    // US
+    { symbol: 'AAPL', ko: '애플', en: 'Apple' },
+    { symbol: 'MSFT', ko: '마이크로소프트', en: 'Microsoft' },
+    { symbol: 'NVDA', ko: '엔비디아', en: 'NVIDIA' },
+    { symbol: 'AMZN', ko: '아마존', en: 'Amazon' },
+    { symbol: 'GOOGL', ko: '알파벳', en: 'Alphabet (Google)' },
+    { symbol: 'META', ko: '메타', en: 'Meta Platforms' },
+    { symbol: 'TSLA', ko: '테슬라', en: 'Tesla' },
+    { symbol: 'NFLX', ko: '넷플릭스', en: 'Netflix' },
+    { symbol: 'AMD', ko: 'AMD', en: 'Advanced Micro Devices' },
+    { symbol: 'INTC', ko: '인텔', en: 'Intel' },
+    { symbol: 'AVGO', ko: '브로드컴', en: 'Broadcom' },
+    { symbol: 'TSM', ko: 'TSMC', en: 'Taiwan Semiconductor' },
+    { symbol: 'KO', ko: '코카콜라', en: 'Coca-Cola' },
+    { symbol: 'JPM', ko: 'JP모건', en: 'JPMorgan Chase' },
+    { symbol: 'SPY', ko: 'S&P500 ETF', en: 'SPDR S&P 500 ETF' },
+    { symbol: 'QQQ', ko: '나스닥100 ETF', en: 'Invesco QQQ Trust' }
+];
+
+// Exchange suffix -> #exchange-select value
+const exchangeSuffixes = ['.KS', '.KQ'];
+
+function normalizeSymbolQuery(text) {
+    return text.toLowerCase().replace(/[\s.\-&()]/g, '');
+}
+
+function getSymbolSuffix(symbol) {
+    return exchangeSuffixes.find(suffix => symbol.toUpperCase().endsWith(suffix)) || '';
+}
+
+// Higher is better; 0 = no match
+function scoreSymbolMatch(entry, query) {
+    const ticker = normalizeSymbolQuery(entry.symbol.replace('^', ''));
+    const code = entry.symbol.replace('^', '').split('.')[0].toLowerCase();
+    const ko = normalizeSymbolQuery(entry.ko);
+    const en = normalizeSymbolQuery(entry.en);
+
+    if (code === query || ticker === query) return 100;
+    if (ko === query || en === query) return 90;
+    if (code.startsWith(query)) return 80;
+    if (ko.startsWith(query)) return 70;
+    if (en.startsWith(query)) return 60;
+    if (ko.includes(query) || en.includes(query)) return 40;
+    return 0;
+}
+
+function searchSymbolMaster(text, limit = 8) {
+    const query = normalizeSymbolQuery(text);
+    if (!query) return [];
+
+    return symbolMaster
+        .map(entry => ({ entry, score: scoreSymbolMatch(entry, query) }))
+        .filter(item => item.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(item => currentLanguage === 'en'
+            ? { symbol: item.entry.symbol, name: item.entry.en, subName: item.entry.ko }
+            : { symbol: item.entry.symbol, name: item.entry.ko, subName: item.entry.en });
+}
+
+// Turn whatever the user typed into the symbols to try, in order.
+// Returns [] when nothing local matches so the caller can fall back to remote lookup.
+function resolveSymbolCandidates(text, suffix) {
+    const raw = text.trim();
+    if (!raw) return [];
+
+    // Already a full Yahoo symbol
+    if (raw.startsWith('^') || raw.includes('.')) return [raw.toUpperCase()];
+
+    // KRX six-digit code: use the selected exchange, else the master list, else try both
+    if (/^\d{6}$/.test(raw)) {
+        if (suffix) return [raw + suffix];
+        const known = symbolMaster.find(entry => entry.symbol.startsWith(`${raw}.`));
+        return known ? [known.symbol] : [`${raw}.KS`, `${raw}.KQ`];
+    }
+
+    const matches = searchSymbolMaster(raw, 1);
+    const query = normalizeSymbolQuery(raw);
+    const exact = matches.length > 0 && scoreSymbolMatch(symbolMaster.find(e => e.symbol === matches[0].symbol), query) >= 90;
+    if (exact) return [matches[0].symbol];
+
+    // Latin text that looks like a ticker. KRX codes are numeric, so a lettered
+    // ticker is tried as-is first even when a Korean exchange is still selected.
+    if (/^[A-Za-z0-9]{1,6}$/.test(raw)) {
+        const ticker = raw.toUpperCase();
+        return suffix && /[A-Z]/.test(ticker) ? [ticker, ticker + suffix] : [ticker + suffix];
+    }
+
+    return matches.length > 0 ? [matches[0].symbol] : [];
+}
+
+// Local resolution with a remote lookup fallback for names we don't know
+async function resolveSearchSymbols(text, suffix) {
+    const candidates = resolveSymbolCandidates(text, suffix);
+    if (candidates.length > 0) return candidates;
+
+    try {
+        const remote = await searchSymbolsRemote(text.trim());
+        return remote.slice(0, 1).map(item => item.symbol);
+    } catch (error) {
+        console.error('Error searching symbols:', error);
+        return [];
+    }
+}
+
+// Autocomplete Dropdown
+let suggestionItems = [];
+let activeSuggestion = -1;
+let suggestionTimer = null;
+let suggestionRequestId = 0;
+
+function renderSuggestions(items) {
+    const list = document.getElementById('symbol-suggestions');
+    suggestionItems = items;
+    activeSuggestion = -1;
+    list.innerHTML = '';
+
+    items.forEach((item, i) => {
+        const li = document.createElement('li');
+        li.className = 'suggestion-item';
+        li.setAttribute('role', 'option');
+        li.dataset.index = i;
+
+        const symbolEl = document.createElement('span');
+        symbolEl.className = 'suggestion-symbol';
+        symbolEl.textContent = item.symbol;
+        const nameEl = document.createElement('span');
+        nameEl.className = 'suggestion-name';
+        nameEl.textContent = item.subName ? `${item.name} · ${item.subName}` : item.name;
+
+        li.append(symbolEl, nameEl);
+        list.appendChild(li);
+    });
+    list.style.display = items.length > 0 ? 'block' : 'none';
+}
+
+function hideSuggestions() {
+    renderSuggestions([]);
+}
+
+function highlightSuggestion(index) {
+    const list = document.getElementById('symbol-suggestions');
+    activeSuggestion = index;
+    list.querySelectorAll('.suggestion-item').forEach((li, i) => {
+        li.classList.toggle('active', i === index);
+        if (i === index) li.scrollIntoView({ block: 'nearest' });
+    });
+}
+
+// Fill the input and exchange select from a suggestion
+function applySuggestion(item) {
+    document.getElementById('stock-code').value = item.symbol;
+    document.getElementById('exchange-select').value = getSymbolSuffix(item.symbol);
+    hideSuggestions();
+}
+
+async function updateSuggestions(text) {
+    const requestId = ++suggestionRequestId;
+    const local = searchSymbolMaster(text);
+    renderSuggestions(local);
+
+    // Only go remote for real queries, and drop stale responses
+    if (normalizeSymbolQuery(text).length < 2 || local.length >= 8) return;
+    try {
+        const remote = await searchSymbolsRemote(text.trim());
+        if (requestId !== suggestionRequestId) return;
+
+        const seen = new Set(local.map(item => item.symbol));
+        const merged = local.concat(remote.filter(item => !seen.has(item.symbol)).map(item => ({
+            symbol: item.symbol,
+            name: item.name,
+            subName: item.exchange
+        })));
+        renderSuggestions(merged.slice(0, 8));
+    } catch (error) {
+        // Remote lookup is optional; local results are already showing
+    }
+}
+
+function initSymbolAutocomplete() {
+    const input = document.getElementById('stock-code');
+    const list = document.getElementById('symbol-suggestions');
+
+    input.addEventListener('input', () => {
+        clearTimeout(suggestionTimer);
+        const text = input.value;
+        if (!text.trim()) {
+            hideSuggestions();
+            return;
+        }
+        suggestionTimer = setTimeout(() => updateSuggestions(text), 200);
+    });
+
+    // Runs before the Enter 'keypress' search handler, so a highlighted item is
+    // written into the input before the search reads it
+    input.addEventListener('keydown', (e) => {
+        if (suggestionItems.length === 0) return;
+
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            highlightSuggestion((activeSuggestion + 1) % suggestionItems.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            highlightSuggestion((activeSuggestion - 1 + suggestionItems.length) % suggestionItems.length);
+        } else if (e.key === 'Enter') {
+            clearTimeout(suggestionTimer);
+            if (activeSuggestion >= 0) {
+                applySuggestion(suggestionItems[activeSuggestion]);
+            } else {
+                hideSuggestions();
+            }
+        } else if (e.key === 'Escape') {
+            hideSuggestions();
+        }
+    });
+
+    // mousedown so the selection lands before the input loses focus
+    list.addEventListener('mousedown', (e) => {
+        const li = e.target.closest('.suggestion-item');
+        if (!li) return;
+        e.preventDefault();
+        applySuggestion(suggestionItems[Number(li.dataset.index)]);
+        handleSearch('5y', '1mo');
+    });
+
+    input.addEventListener('blur', () => setTimeout(hideSuggestions, 100));
+}
@@ -0,0 +1,112 @@
+// Backtest Reproducibility Check
+// Runs fixed strategies over fixtures/AAPL.json with the browser's own code
+// (providers.js to parse the fixture, indicators.js + backtest-worker.js for the
+// engine) and compares the metrics with the values stored below. Run from the
+// repo root after changing the engine or the fixture:
+//   node tools/check-backtest.js            (exit code 1 on a mismatch)
+//   node tools/check-backtest.js --print    (print current values to update EXPECTED)
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Same settings as the panel defaults (commission 0.015%, slippage 0.05%)
+const BASE_REQUEST = {
+    costs: { commission: 0.00015, slippage: 0.0005 },
+    initialCapital: 100,
+    periodsPerYear: 252
+};
+const CASES = {
+    'ma-cross 5/20': { strategy: 'ma-cross', params: { fast: 5, slow: 20 } },
+    'rsi 14 30/70': { strategy: 'rsi', params: { period: 14, lower: 30, upper: 70 } },
+    'buy-hold': { strategy: 'buy-hold', params: {} }
+};
+const METRICS = ['finalEquity', 'totalReturn', 'cagr', 'maxDrawdown', 'sharpe', 'tradeCount'];
+const DIGITS = 6;
+
+const EXPECTED = {
+    'ma-cross 5/20': {
+        finalEquity: 89.431619,
+        totalReturn: -10.568381,
+        cagr: -20.081188,
+        maxDrawdown: 13.997358,
+        sharpe: -2.054725,
+        tradeCount: 3
+    },
+    'rsi 14 30/70': {
+        finalEquity: 82.34674,
+        totalReturn: -17.65326,
+        cagr: -32.280542,
+        maxDrawdown: 24.866959,
+        sharpe: -1.985631,
+        tradeCount: 1
+    },
+    'buy-hold': {
+        finalEquity: 73.672071,
+        totalReturn: -26.327929,
+        cagr: -45.838039,
+        maxDrawdown: 28.508923,
+        sharpe: -2.600348,
+        tradeCount: 1
+    }
+};
+
+// Classic scripts share one global scope in the page; mirror that in a context
+function loadEngine() {
+    const context = vm.createContext({ window: { location: { search: '' } }, console });
+    ['providers.js', 'indicators.js', 'backtest-worker.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+function round(value) {
+    return value === null ? null : Number(value.toFixed(DIGITS));
+}
+
+function runCases(engine, ohlc) {
+    const results = {};
+    Object.entries(CASES).forEach(([name, settings]) => {
+        const metrics = engine.runBacktest({ ...BASE_REQUEST, ...settings, ohlc }).strategy.metrics;
+        results[name] = Object.fromEntries(METRICS.map(key => [key, round(metrics[key])]));
+    });
+    return results;
+}
+
+function main() {
+    const engine = loadEngine();
+    const payload = JSON.parse(fs.readFileSync(path.join(ROOT, 'fixtures', 'AAPL.json'), 'utf8'));
+    const { ohlc } = engine.parseChartPayload(payload, 'AAPL');
+
+    const first = runCases(engine, ohlc);
+    const second = runCases(engine, ohlc);
+
+    if (process.argv.includes('--print')) {
+        console.log(JSON.stringify(first, null, 4));
+        return;
+    }
+
+    let failures = 0;
+    Object.keys(CASES).forEach(name => {
+        METRICS.forEach(key => {
+            const actual = first[name][key];
+            if (second[name][key] !== actual) {
+                console.error(`${name} ${key}: not deterministic (${actual} then ${second[name][key]})`);
+                failures++;
+            } else if (!EXPECTED[name] || EXPECTED[name][key] !== actual) {
+                console.error(`${name} ${key}: expected ${EXPECTED[name] ? EXPECTED[name][key] : '(none)'}, got ${actual}`);
+                failures++;
+            }
+        });
+    });
+
+    if (failures > 0) {
+        console.error(`${failures} mismatch(es)`);
+        process.exitCode = 1;
+    } else {
+        console.log(`Backtest metrics match for ${Object.keys(CASES).length} strategies on ${ohlc.length} bars`);
+    }
+}
+
+main();
@@ -0,0 +1,173 @@
+// URL State
+// The searched symbol, its compare set, range/interval/type and every card that
+// differs from its default are kept in the query string, e.g.
+//   ?symbol=005930.KS&range=6mo&interval=1d&type=candlestick&compare=000660.KS&card.kospi=1y:1d:line
+// A new search adds a history entry (so back/forward moves between searches);
+// other changes replace the current one. Unrelated params (e.g. ?providers=) are kept.
+const URL_SEARCH_KEYS = ['symbol', 'range', 'interval', 'type', 'compare'];
+const URL_CARD_PREFIX = 'card.';
+const CHART_TYPES = ['line', 'candlestick'];
+const BASE_TITLE = document.title;
+
+let urlStateRestoring = false; // Don't write the URL while applying it
+
+function isValidRangePair(range, interval) {
+    return Boolean(range && interval) && !validateRangeSelection(range, interval);
+}
+
+function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const state = { search: null, cards: {} };
+
+    const symbol = params.get('symbol');
+    if (symbol) {
+        const range = params.get('range');
+        const interval = params.get('interval');
+        const validRange = isValidRangePair(range, interval);
+        state.search = {
+            symbol: symbol,
+            range: validRange ? range : '5y',
+            interval: validRange ? interval : '1mo',
+            type: CHART_TYPES.includes(params.get('type')) ? params.get('type') : null,
+            compare: (params.get('compare') || '').split(',').map(s => s.trim()).filter(Boolean).slice(0, MAX_COMPARE_SYMBOLS)
+        };
+    }
+
+    params.forEach((value, key) => {
+        if (!key.startsWith(URL_CARD_PREFIX)) return;
+        const [range, interval, type] = value.split(':');
+        state.cards[key.slice(URL_CARD_PREFIX.length)] = {
+            range: isValidRangePair(range, interval) ? range : null,
+            interval: isValidRangePair(range, interval) ? interval : null,
+            type: CHART_TYPES.includes(type) ? type : null
+        };
+    });
+    return state;
+}
+
+function buildUrlParams() {
+    const params = new URLSearchParams(window.location.search);
+    URL_SEARCH_KEYS.forEach(key => params.delete(key));
+    Array.from(params.keys())
+        .filter(key => key.startsWith(URL_CARD_PREFIX))
+        .forEach(key => params.delete(key));
+
+    if (currentSearchSymbol) {
+        params.set('symbol', currentSearchSymbol);
+        if (lastFetchedData) {
+            params.set('range', lastFetchedData.range);
+            params.set('interval', lastFetchedData.interval);
+        }
+        params.set('type', currentChartType);
+        if (compareSymbols.length > 0) params.set('compare', compareSymbols.join(','));
+    }
+
+    cards.forEach(card => {
+        const defaults = getLayoutCard(card.id);
+        if (defaults && defaults.range === card.range && defaults.interval === card.interval && defaults.type === card.type) return;
+        params.set(`${URL_CARD_PREFIX}${card.id}`, `${card.range}:${card.interval}:${card.type}`);
+    });
+    return params;
+}
+
+// Write the current view to the URL. A changed search symbol gets its own history
+// entry unless options.replace is set.
+function syncUrlState(options = {}) {
+    if (urlStateRestoring) return;
+
+    const params = buildUrlParams();
+    const query = params.toString().replace(/%3A/g, ':').replace(/%2C/g, ',').replace(/%7E/g, '~');
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+    const previousSymbol = new URLSearchParams(window.location.search).get('symbol');
+    if (!options.replace && currentSearchSymbol && currentSearchSymbol !== previousSymbol) {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+    document.title = currentSearchSymbol ? `${currentSearchSymbol} - ${BASE_TITLE}` : BASE_TITLE;
+}
+
+function setActiveTypeButtons(wrapper, type) {
+    if (!wrapper) return;
+    wrapper.querySelectorAll('.type-btn[data-type]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.type === type);
+    });
+}
+
+// Before the first render: apply the URL to the card objects and their buttons so
+// initCharts loads the linked view directly (the defaults stay in the layout)
+function applyUrlCardState(state) {
+    cards.forEach(card => {
+        const linked = state.cards[card.id];
+        if (!linked) return;
+        if (linked.range) {
+            card.range = linked.range;
+            card.interval = linked.interval;
+        }
+        if (linked.type) card.type = linked.type;
+
+        const wrapper = getControlsWrapper(card.id);
+        setActiveRangeButtons(wrapper, card.range, card.interval);
+        setActiveTypeButtons(wrapper, card.type);
+    });
+}
+
+// Open the linked search (used on load and on back/forward)
+async function applyUrlSearchState(search) {
+    compareSymbols.splice(0, compareSymbols.length, ...search.compare);
+    if (search.type) {
+        currentChartType = search.type;
+        setActiveTypeButtons(getControlsWrapper('search'), search.type);
+    }
+    document.getElementById('stock-code').value = search.symbol;
+    await handleSearch(search.range, search.interval, search.type);
+}
+
+// Back/forward: bring cards and the search back to what the URL describes
+async function restoreUrlState() {
+    const state = readUrlState();
+    urlStateRestoring = true;
+    try {
+        const updates = cards.map(card => {
+            const linked = state.cards[card.id] || {};
+            const defaults = getLayoutCard(card.id) || card;
+            const range = linked.range || defaults.range;
+            const interval = linked.interval || defaults.interval;
+            const type = linked.type || defaults.type;
+            if (range === card.range && interval === card.interval && type === card.type) return null;
+
+            setActiveTypeButtons(getControlsWrapper(card.id), type);
+            return handleChartUpdate(card.id, range, interval, type);
+        });
+
+        if (state.search) {
+            updates.push(applyUrlSearchState(state.search));
+        } else if (currentSearchSymbol) {
+            // Back to before the first search
+            currentSearchSymbol = '';
+            compareSymbols.splice(0, compareSymbols.length);
+            document.getElementById('stock-code').value = '';
+            document.getElementById('search-result-section').style.display = 'none';
+        }
+        await Promise.all(updates);
+    } finally {
+        urlStateRestoring = false;
+    }
+    document.title = currentSearchSymbol ? `${currentSearchSymbol} - ${BASE_TITLE}` : BASE_TITLE;
+}
+
+function initUrlState() {
+    const state = readUrlState();
+    applyUrlCardState(state);
+    if (state.search) {
+        urlStateRestoring = true;
+        applyUrlSearchState(state.search).finally(() => {
+            urlStateRestoring = false;
+            // Normalize the link (e.g. '005930' -> '005930.KS') without a new entry
+            syncUrlState({ replace: true });
+        });
+    }
+    window.addEventListener('popstate', restoreUrlState);
+}